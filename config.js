@@ -30,20 +30,60 @@ export default {
       },
       // GSC API page size default
       pageSize: 1000,
+      // Site sections for the virtual contentGroup dimension: the first rule
+      // whose pattern (a regex) matches the page URL wins, other pages are "other"
+      contentGroups: [
+        { name: "blog", pattern: "/blog/" },
+        { name: "docs", pattern: "/docs/" },
+        { name: "product", pattern: "/products?/" },
+        { name: "category", pattern: "/(category|collections)/" },
+      ],
     },
     bigquery: {
       enabled: false, // Optional - set to true if you want to use BigQuery with GSC data
       // Service account via env GOOGLE_APPLICATION_CREDENTIALS or inline
       projectId: process.env.BQ_PROJECT_ID || "",
       dataset: process.env.BQ_DATASET || "",
+      // "sharded" for gsc_data_* tables filtered by _TABLE_SUFFIX, or "bulk" for
+      // the official Search Console bulk export (searchdata_*_impression tables)
+      exportSchema: "sharded",
       // Optional table mapping helpers
       tables: {
         gscData: "gsc_data_*", // wildcards allowed
-        pages: "pages",        // example custom table
+        pages: "pages",        // example custom table, queried with table: "pages"
+        siteImpression: "searchdata_site_impression", // bulk export, property level
+        urlImpression: "searchdata_url_impression",   // bulk export, page level
       },
       location: process.env.BQ_LOCATION || "US",
+      // Refuse queries whose dry run estimates more bytes than this (10 GB);
+      // null to disable. The CLI asks for confirmation, the API needs overrideMaxBytesBilled.
+      maximumBytesBilled: Number(process.env.BQ_MAXIMUM_BYTES_BILLED) || 10 * 1024 ** 3,
+      // How long the introspected tables and columns are cached (SQLite)
+      schemaCacheTtlMs: 24 * 60 * 60 * 1000,
       defaultDateRange: { start: "2025-01-01", end: "2025-12-31" },
     },
+    file: {
+      enabled: false, // Optional - set to true to query GSC UI exports (CSV/ZIP) and saved results (JSON/CSV) offline
+      // Folders the file source reads from; query.file is a file name inside one of them
+      dirs: ["./.out", "./imports"],
+    },
+  },
+
+  // Derived metrics, computed from the metrics a query fetches and selectable
+  // like any other metric. Formulas use metrics, derived metrics defined above
+  // them, numbers, "text", + - * / %, comparisons and abs, round, floor, ceil,
+  // sqrt, log, pow, min, max, if(condition, then, else) and total(x) (x summed
+  // over every row matching the query's dimension filters, up to limits.maxRows,
+  // before metric filters and the limit).
+  derivedMetrics: {
+    clicks_share: { label: "Share of clicks (%)", formula: "clicks / total(clicks) * 100" },
+    // Rough organic CTR curve by average position; replace it with your own
+    expected_ctr: { label: "Expected CTR for the position", formula: "0.3 * pow(max(position, 1), -1.1)" },
+    ctr_gap: { label: "CTR minus expected CTR", formula: "ctr - expected_ctr" },
+    position_bucket: {
+      label: "Position bucket",
+      formula: 'if(position <= 3, "1-3", if(position <= 10, "4-10", if(position <= 20, "11-20", "21+")))',
+    },
   },
 
   // Query presets (available to both sources where possible)
@@ -62,6 +102,7 @@ export default {
       id: "top-pages-gsc",
       label: "Top Pages by Clicks",
       source: "searchconsole",
+      aggregationType: "byPage",
       metrics: ["clicks", "impressions", "ctr", "position"],
       dimensions: ["page"],
       orderBys: [{ metric: "clicks", desc: true }],
@@ -82,6 +123,7 @@ export default {
       id: "top-pages-impressions",
       label: "Top Pages by Impressions",
       source: "searchconsole",
+      aggregationType: "byPage",
       metrics: ["impressions", "clicks", "ctr", "position"],
       dimensions: ["page"],
       orderBys: [{ metric: "impressions", desc: true }],
@@ -102,6 +144,7 @@ export default {
       id: "device-breakdown",
       label: "Performance by Device",
       source: "searchconsole",
+      aggregationType: "byProperty",
       metrics: ["clicks", "impressions", "ctr", "position"],
       dimensions: ["device"],
       orderBys: [{ metric: "clicks", desc: true }],
@@ -118,6 +161,38 @@ export default {
       limit: 20,
       filters: [],
     },
+    {
+      id: "content-groups",
+      label: "Performance by Content Group",
+      source: "searchconsole",
+      metrics: ["clicks", "impressions", "ctr", "position"],
+      dimensions: ["contentGroup"],
+      orderBys: [{ metric: "clicks", desc: true }],
+      limit: 50,
+      filters: [],
+    },
+    {
+      id: "discover-pages",
+      label: "Discover: Top Pages by Clicks",
+      source: "searchconsole",
+      searchType: "discover",
+      metrics: ["clicks", "impressions", "ctr"],
+      dimensions: ["page"],
+      orderBys: [{ metric: "clicks", desc: true }],
+      limit: 50,
+      filters: [],
+    },
+    {
+      id: "image-queries",
+      label: "Image Search: Top Queries by Clicks",
+      source: "searchconsole",
+      searchType: "image",
+      metrics: ["clicks", "impressions", "ctr", "position"],
+      dimensions: ["query"],
+      orderBys: [{ metric: "clicks", desc: true }],
+      limit: 50,
+      filters: [],
+    },
     {
       id: "bq-gsc-sample",
       label: "BigQuery GSC Data Sample (Optional)",
@@ -128,6 +203,43 @@ export default {
       limit: 100,
       filters: [],
     },
+    {
+      id: "bq-daily-performance",
+      label: "Daily Performance by Date",
+      source: "bigquery",
+      metrics: ["clicks", "impressions"],
+      dimensions: ["date"],
+      orderBys: [{ dimension: "date", desc: false }],
+      limit: 365,
+      filters: [],
+    },
+    {
+      // SQL preset: @start_date, @end_date and @limit are bound from the query,
+      // the params below are asked for by the CLI (API: "variables")
+      id: "bq-striking-distance",
+      label: "Striking Distance Queries (SQL)",
+      source: "bigquery",
+      sql: `
+        SELECT query,
+          SUM(clicks) AS clicks,
+          SUM(impressions) AS impressions,
+          SUM(position * impressions) / NULLIF(SUM(impressions), 0) AS avg_position
+        FROM \`{{project}}.{{dataset}}.gsc_data_*\`
+        WHERE _TABLE_SUFFIX BETWEEN FORMAT_DATE('%Y%m%d', @start_date) AND FORMAT_DATE('%Y%m%d', @end_date)
+        GROUP BY query
+        HAVING avg_position BETWEEN @min_position AND @max_position
+          AND impressions >= @min_impressions
+        ORDER BY impressions DESC
+        LIMIT @limit
+      `,
+      params: [
+        { name: "min_position", label: "Best average position", type: "FLOAT64", default: 10.5 },
+        { name: "max_position", label: "Worst average position", type: "FLOAT64", default: 20.5 },
+        { name: "min_impressions", label: "Minimum impressions", type: "INT64", default: 100 },
+      ],
+      orderBys: [{ metric: "impressions", desc: true }],
+      limit: 500,
+    },
   ],
 
   // Output settings
@@ -137,6 +249,25 @@ export default {
     outDir: "./.out",
   },
 
+  // Query result cache (SQLite). Ranges touching the last 3 days, or with fresh
+  // data, may still change; final historic data does not.
+  cache: {
+    enabled: true,
+    recentTtlMs: 15 * 60 * 1000,
+    historicTtlMs: 24 * 60 * 60 * 1000,
+  },
+
+  // Local GSC data warehouse (SQLite): daily rows of the selected site, one
+  // table per dimension set. Filled by "GSC Sync local data" (API: /api/warehouse/sync);
+  // ad-hoc queries for final data of synced days are answered from it.
+  warehouse: {
+    enabled: true,
+    backfillMonths: 16,
+    maxRowsPerDay: 25000,
+    searchType: "web",
+    dimensionSets: [["query"], ["page"], ["country"], ["device"]],
+  },
+
   // Safety limits
   limits: {
     maxRows: 100000,
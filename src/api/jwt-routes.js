@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 import express from "express";
-import { loadConfig } from "../utils/config.js";
+import { loadConfig, getEnabledSources, getPresetsForSource } from "../utils/config.js";
 import { getOAuth2Client, getAvailableSites } from "../datasources/searchconsole.js";
 import { runQuery } from "../core/query-runner.js";
 import { 
@@ -13,6 +13,8 @@ import {
 } from "../utils/site-manager.js";
 import { ensureAuthentication } from "../utils/auth-helper.js";
 import { applySorting } from "../cli/renderers.js";
+import { validateFilters, validateComparison } from "../cli/validators.js";
+import { getDatasource, hasDatasource, listDatasources, getCapabilities } from "../datasources/index.js";
 import { stringify } from "csv-stringify/sync";
 import { 
   generateToken, 
@@ -23,6 +25,10 @@ import {
   cleanupExpiredSessions 
 } from "./auth-middleware.js";
 import { getDatabase, storeTokensForUser, getTokensForUser } from "../utils/database.js";
+import { syncWarehouse, getWarehouseStatus } from "../core/warehouse.js";
+import { runWarehouseSQL } from "../core/warehouse-sql.js";
+import { getAvailableDerivedMetrics } from "../core/derived-metrics.js";
+import { AuthExpiredError, QuotaExceededError, QueryCostLimitError, QueryCancelledError } from "../utils/errors.js";
 
 const router = express.Router();
 
@@ -68,19 +74,40 @@ async function getUserOAuthClient(userId, cfg) {
       return oauth2Client;
     } catch (error) {
       console.log("Stored tokens expired, need to re-authenticate");
-      throw new Error("OAuth tokens expired. Please re-authenticate.");
+      throw new AuthExpiredError("OAuth tokens expired. Please re-authenticate.", { cause: error });
     }
   } else {
     throw new Error("No OAuth tokens found for user. Please authenticate first.");
   }
 }
 
-// Helper function to handle errors
+// Helper function to check the source of a query request: it has to be enabled
+// in the config and registered. Returns an error message, or null.
+function checkQuerySource(source, cfg) {
+  const enabledSources = getEnabledSources(cfg).filter(id => hasDatasource(id));
+  if (!enabledSources.includes(source)) {
+    return `Source ${source} is not available. Enabled sources: ${enabledSources.join(", ")}`;
+  }
+  return null;
+}
+
+// Helper function to handle errors. Typed Google API errors (see
+// utils/errors.js) carry their own status code, which wins over the default.
 function handleError(res, error, statusCode = 500) {
   console.error("API Error:", error);
-  res.status(statusCode).json({
+  
+  if (error instanceof QuotaExceededError && error.retryAfterMs) {
+    res.set("Retry-After", String(Math.ceil(error.retryAfterMs / 1000)));
+  }
+  
+  res.status(error.statusCode || statusCode).json({
     success: false,
-    error: error.message || "Internal server error"
+    error: error.message || "Internal server error",
+    ...(error.statusCode && { errorType: error.name }),
+    ...(error instanceof QueryCostLimitError && {
+      estimatedBytes: error.estimatedBytes,
+      maximumBytesBilled: error.maximumBytesBilled
+    })
   });
 }
 
@@ -481,8 +508,18 @@ router.post("/api/query/adhoc", authenticateToken, async (req, res) => {
       customStartDate,
       customEndDate,
       limit = 1000,
+      chunkBy,
+      searchType = "web",
+      freshData = false,
+      aggregationType = "auto",
+      filters = [],
       outputFormat = "json",
-      sorting
+      sorting,
+      source = "searchconsole",
+      file,
+      table,
+      overrideMaxBytesBilled = false,
+      noCache = false
     } = req.body;
     
     // Validate required fields
@@ -502,35 +539,63 @@ router.post("/api/query/adhoc", authenticateToken, async (req, res) => {
     
     const cfg = loadConfig();
     
-    // Check if we have a valid site selection
-    if (!hasValidSiteSelection()) {
+    const sourceError = checkQuerySource(source, cfg);
+    if (sourceError) {
       return res.status(400).json({
         success: false,
-        error: "No Google Search Console site selected. Please select a site first."
+        error: sourceError
       });
     }
     
-    // Set the selected site as environment variable
-    const selectedSite = getSelectedSite();
-    process.env.GSC_SITE_URL = selectedSite;
+    const filterErrors = validateFilters(filters, getDatasource(source).capabilities);
+    if (filterErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid filters: ${filterErrors.join(", ")}`
+      });
+    }
     
-    // Ensure authentication
-    const auth = await ensureAuthentication(cfg);
+    // Site selection and Google sign-in only apply to the Search Console API
+    let selectedSite = null;
+    let auth = null;
+    if (source === "searchconsole") {
+      if (!hasValidSiteSelection()) {
+        return res.status(400).json({
+          success: false,
+          error: "No Google Search Console site selected. Please select a site first."
+        });
+      }
+      
+      // Set the selected site as environment variable
+      selectedSite = getSelectedSite();
+      process.env.GSC_SITE_URL = selectedSite;
+      
+      // Ensure authentication
+      auth = await ensureAuthentication(cfg);
+    }
     
     // Build query parameters
     const answers = {
       action: "adhoc",
-      source: "searchconsole",
+      source,
+      file,
+      table,
       metrics,
       dimensions,
       dateRangeType,
       customStartDate,
       customEndDate,
-      limit
+      limit,
+      chunkBy,
+      searchType,
+      freshData,
+      aggregationType,
+      filters
     };
     
     // Run the query
-    const rows = await runQuery(answers, cfg, auth);
+    const ctx = { overrideMaxBytesBilled: overrideMaxBytesBilled === true, noCache: noCache === true, userId };
+    const rows = await runQuery(answers, cfg, auth, ctx);
     
     // Apply sorting if provided
     let sortedRows = rows;
@@ -550,6 +615,7 @@ router.post("/api/query/adhoc", authenticateToken, async (req, res) => {
         success: true,
         data: sortedRows,
         total: sortedRows.length,
+        source,
         site: selectedSite,
         query: {
           metrics,
@@ -558,8 +624,14 @@ router.post("/api/query/adhoc", authenticateToken, async (req, res) => {
             start: answers.customStartDate || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
             end: answers.customEndDate || new Date().toISOString().split('T')[0]
           },
-          limit
-        }
+          limit,
+          chunkBy: chunkBy || null,
+          searchType,
+          freshData,
+          aggregationType,
+          filters
+        },
+        metadata: ctx.metadata
       };
       
       if (outputFormat === "json") {
@@ -574,6 +646,148 @@ router.post("/api/query/adhoc", authenticateToken, async (req, res) => {
   }
 });
 
+// Same body as ad-hoc queries, plus the period to compare with
+router.post("/api/query/compare", authenticateToken, async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    setUserId(userId);
+    
+    const {
+      metrics = ["clicks", "impressions", "ctr", "position"],
+      dimensions = ["query"],
+      compareTo = "previous",
+      dateRangeType = "last28",
+      customStartDate,
+      customEndDate,
+      limit = 1000,
+      chunkBy,
+      searchType = "web",
+      freshData = false,
+      aggregationType = "auto",
+      filters = [],
+      outputFormat = "json",
+      sorting,
+      source = "searchconsole",
+      file,
+      table,
+      overrideMaxBytesBilled = false,
+      noCache = false
+    } = req.body;
+    
+    if (!metrics || metrics.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "At least one metric is required"
+      });
+    }
+    
+    if (!dimensions || dimensions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "At least one dimension is required"
+      });
+    }
+    
+    const comparisonErrors = validateComparison({ compareTo, dimensions });
+    if (comparisonErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: comparisonErrors.join(", ")
+      });
+    }
+    
+    const cfg = loadConfig();
+    
+    const sourceError = checkQuerySource(source, cfg);
+    if (sourceError) {
+      return res.status(400).json({
+        success: false,
+        error: sourceError
+      });
+    }
+    
+    const filterErrors = validateFilters(filters, getDatasource(source).capabilities);
+    if (filterErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid filters: ${filterErrors.join(", ")}`
+      });
+    }
+    
+    // Site selection and Google sign-in only apply to the Search Console API
+    let selectedSite = null;
+    let auth = null;
+    if (source === "searchconsole") {
+      if (!hasValidSiteSelection()) {
+        return res.status(400).json({
+          success: false,
+          error: "No Google Search Console site selected. Please select a site first."
+        });
+      }
+      
+      selectedSite = getSelectedSite();
+      process.env.GSC_SITE_URL = selectedSite;
+      
+      auth = await ensureAuthentication(cfg);
+    }
+    
+    const answers = {
+      action: "compare",
+      source,
+      file,
+      table,
+      metrics,
+      dimensions,
+      compareTo,
+      dateRangeType,
+      customStartDate,
+      customEndDate,
+      limit,
+      chunkBy,
+      searchType,
+      freshData,
+      aggregationType,
+      filters
+    };
+    
+    // Runs the query for both periods; the comparison period is reported in metadata.comparison
+    const ctx = { overrideMaxBytesBilled: overrideMaxBytesBilled === true, noCache: noCache === true, userId };
+    const rows = await runQuery(answers, cfg, auth, ctx);
+    
+    let sortedRows = rows;
+    if (sorting && sorting.columns && !sorting.columns.includes('none')) {
+      sortedRows = applySorting(rows, sorting);
+    }
+    
+    if (outputFormat === "csv") {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="gsc-compare.csv"');
+      return res.send(stringify(sortedRows, { header: true }));
+    }
+    
+    res.json({
+      success: true,
+      data: sortedRows,
+      total: sortedRows.length,
+      source,
+      site: selectedSite,
+      query: {
+        metrics,
+        dimensions,
+        compareTo,
+        limit,
+        searchType,
+        freshData,
+        aggregationType,
+        filters
+      },
+      metadata: ctx.metadata
+    });
+  } catch (error) {
+    handleError(res, error, 500);
+  }
+});
+
 router.post("/api/query/preset", authenticateToken, async (req, res) => {
   try {
     const userId = getUserId(req);
@@ -585,7 +799,18 @@ router.post("/api/query/preset", authenticateToken, async (req, res) => {
       customStartDate,
       customEndDate,
       limit = 1000,
-      outputFormat = "json"
+      searchType,
+      freshData = false,
+      aggregationType,
+      outputFormat = "json",
+      source = "searchconsole",
+      file,
+      table,
+      variables = {},
+      siteUrl,
+      sorting,
+      overrideMaxBytesBilled = false,
+      noCache = false
     } = req.body;
     
     if (!preset) {
@@ -595,49 +820,91 @@ router.post("/api/query/preset", authenticateToken, async (req, res) => {
       });
     }
     
+    if (typeof variables !== "object" || variables === null || Array.isArray(variables)) {
+      return res.status(400).json({
+        success: false,
+        error: "variables must be an object of SQL parameter values"
+      });
+    }
+    
     const cfg = loadConfig();
     
-    // Check if we have a valid site selection
-    if (!hasValidSiteSelection()) {
+    const sourceError = checkQuerySource(source, cfg);
+    if (sourceError) {
       return res.status(400).json({
         success: false,
-        error: "No Google Search Console site selected. Please select a site first."
+        error: sourceError
       });
     }
     
-    // Set the selected site as environment variable
-    const selectedSite = getSelectedSite();
-    process.env.GSC_SITE_URL = selectedSite;
+    if (!getPresetsForSource(source, cfg).some(p => p.id === preset)) {
+      return res.status(400).json({
+        success: false,
+        error: `Preset ${preset} is not available for source ${source}`
+      });
+    }
     
-    // Ensure authentication
-    const auth = await ensureAuthentication(cfg);
+    // Site selection and Google sign-in only apply to the Search Console API
+    let selectedSite = null;
+    let auth = null;
+    if (source === "searchconsole") {
+      if (!hasValidSiteSelection()) {
+        return res.status(400).json({
+          success: false,
+          error: "No Google Search Console site selected. Please select a site first."
+        });
+      }
+      
+      // Set the selected site as environment variable
+      selectedSite = getSelectedSite();
+      process.env.GSC_SITE_URL = selectedSite;
+      
+      // Ensure authentication
+      auth = await ensureAuthentication(cfg);
+    }
     
     // Build query parameters
     const answers = {
       action: "preset",
-      source: "searchconsole",
+      source,
+      file,
+      table,
       preset,
       dateRangeType,
       customStartDate,
       customEndDate,
-      limit
+      limit,
+      searchType,
+      freshData,
+      aggregationType,
+      // SQL presets: values for the declared parameters and @site_url
+      variables,
+      siteUrl: siteUrl || selectedSite || (cfg.presets.find(p => p.id === preset)?.sql ? getSelectedSite() : undefined)
     };
     
     // Run the query
-    const rows = await runQuery(answers, cfg, auth);
+    const ctx = { overrideMaxBytesBilled: overrideMaxBytesBilled === true, noCache: noCache === true, userId };
+    const rows = await runQuery(answers, cfg, auth, ctx);
+    
+    // Apply sorting if provided
+    let sortedRows = rows;
+    if (sorting && sorting.columns && !sorting.columns.includes('none')) {
+      sortedRows = applySorting(rows, sorting);
+    }
     
     // Format response based on output format
     let responseData;
     if (outputFormat === "csv") {
-      responseData = stringify(rows, { header: true });
+      responseData = stringify(sortedRows, { header: true });
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', 'attachment; filename="gsc-preset-data.csv"');
       return res.send(responseData);
     } else {
       responseData = {
         success: true,
-        data: rows,
-        total: rows.length,
+        data: sortedRows,
+        total: sortedRows.length,
+        source,
         site: selectedSite,
         preset: preset,
         query: {
@@ -645,8 +912,13 @@ router.post("/api/query/preset", authenticateToken, async (req, res) => {
             start: answers.customStartDate || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
             end: answers.customEndDate || new Date().toISOString().split('T')[0]
           },
-          limit
-        }
+          limit,
+          searchType: searchType || cfg.presets.find(p => p.id === preset)?.searchType || "web",
+          freshData,
+          aggregationType: aggregationType || cfg.presets.find(p => p.id === preset)?.aggregationType || "auto",
+          variables
+        },
+        metadata: ctx.metadata
       };
       
       if (outputFormat === "json") {
@@ -668,16 +940,22 @@ router.get("/api/presets", authenticateToken, async (req, res) => {
     setUserId(userId);
     
     const cfg = loadConfig();
-    const presets = cfg.presets.filter(p => p.source === "searchconsole" || p.source === "any");
+    const source = req.query.source || "searchconsole";
+    const presets = getPresetsForSource(source, cfg);
     
     res.json({
       success: true,
+      source,
       presets: presets.map(p => ({
         id: p.id,
         label: p.label,
         description: p.description,
+        searchType: p.searchType || "web",
+        aggregationType: p.aggregationType || "auto",
         metrics: p.metrics,
-        dimensions: p.dimensions
+        dimensions: p.dimensions,
+        // Parameters a SQL preset takes in the variables of /api/query/preset
+        ...(p.sql && { params: p.params || [] })
       }))
     });
   } catch (error) {
@@ -690,13 +968,134 @@ router.get("/api/schema", authenticateToken, async (req, res) => {
     const userId = getUserId(req);
     setUserId(userId);
     
+    const source = req.query.source || "searchconsole";
+    if (!hasDatasource(source)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown source: ${source}. Available sources: ${listDatasources().map(d => d.id).join(", ")}`
+      });
+    }
+    
+    // Sources with tables (BigQuery) describe the table given in ?table=,
+    // read from the cached INFORMATION_SCHEMA unless ?refresh=true
+    const cfg = loadConfig();
+    const datasource = getDatasource(source);
+    const table = req.query.table || undefined;
+    const ctx = { cfg, refresh: req.query.refresh === "true" };
+    const capabilities = await getCapabilities(datasource, { table }, ctx);
+    res.json({
+      success: true,
+      source,
+      table: table || null,
+      metrics: capabilities.metrics,
+      // Computed by runQuery, usable in metrics and orderBys like the others
+      derivedMetrics: getAvailableDerivedMetrics(cfg, capabilities.metrics)
+        .map(({ name, label, formula }) => ({ name, label, formula })),
+      dimensions: capabilities.dimensions,
+      operators: capabilities.operators,
+      maxRows: capabilities.maxRows,
+      ...(datasource.tables && { tables: await datasource.tables(ctx) }),
+      sources: listDatasources().map(d => d.id)
+    });
+  } catch (error) {
+    handleError(res, error, 500);
+  }
+});
+
+// Local warehouse endpoints (selected site)
+router.post("/api/warehouse/sync", authenticateToken, async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    setUserId(userId);
+    
+    if (!hasValidSiteSelection()) {
+      return res.status(400).json({
+        success: false,
+        error: "No Google Search Console site selected. Please select a site first."
+      });
+    }
+    
+    // Only missing and preliminary days are fetched; the first backfill of a
+    // site takes many requests (one GSC request per day and dimension set), so
+    // each call syncs for up to limits.maxRuntimeMs and the caller repeats it
+    // until complete is true
+    const cfg = loadConfig();
+    const siteUrl = getSelectedSite();
+    const auth = await ensureAuthentication(cfg);
+    
+    // Stop when the client goes away before the response is sent
+    const cancel = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) {
+        cancel.abort(new QueryCancelledError("Sync stopped: the client disconnected"));
+      }
+    });
+    const summary = await syncWarehouse(cfg, auth, { siteUrl, signal: cancel.signal, maxRuntimeMs: cfg.limits.maxRuntimeMs });
+    
+    res.json({
+      success: true,
+      site: siteUrl,
+      complete: summary.complete,
+      remainingDays: summary.remainingDays,
+      synced: summary.tables,
+      status: getWarehouseStatus(cfg, siteUrl)
+    });
+  } catch (error) {
+    handleError(res, error, 500);
+  }
+});
+
+router.get("/api/warehouse/status", authenticateToken, async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    setUserId(userId);
+    
+    const cfg = loadConfig();
+    const siteUrl = getSelectedSite();
+    
+    res.json({
+      success: true,
+      site: siteUrl,
+      enabled: Boolean(cfg.warehouse?.enabled),
+      tables: siteUrl ? getWarehouseStatus(cfg, siteUrl) : []
+    });
+  } catch (error) {
+    handleError(res, error, 500);
+  }
+});
+
+router.post("/api/sql", authenticateToken, async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    setUserId(userId);
+    
+    const { sql, outputFormat = "json" } = req.body;
+    if (!sql || typeof sql !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "sql is required"
+      });
+    }
+    
+    // Queries only see the warehouse rows of sites the user has verified access to
     const cfg = loadConfig();
-    const sourceConfig = cfg.sources.searchconsole;
+    const auth = await getUserOAuthClient(userId, cfg);
+    const sites = (await getVerifiedSites(cfg, auth)).map(site => site.siteUrl);
+    const { columns, rows, truncated } = await runWarehouseSQL(sql, cfg, { siteUrls: sites });
+    
+    if (outputFormat === "csv") {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="gsc-sql.csv"');
+      return res.send(stringify(rows, { header: true, columns }));
+    }
     
     res.json({
       success: true,
-      metrics: sourceConfig.metrics || {},
-      dimensions: sourceConfig.dimensions || {}
+      data: rows,
+      columns,
+      total: rows.length,
+      truncated,
+      sites
     });
   } catch (error) {
     handleError(res, error, 500);
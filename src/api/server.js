@@ -42,9 +42,13 @@ app.use("*", (req, res) => {
       "GET /api/sites/current",
       "DELETE /api/sites/current",
       "POST /api/query/adhoc",
+      "POST /api/query/compare",
       "POST /api/query/preset",
       "GET /api/presets",
-      "GET /api/schema"
+      "GET /api/schema",
+      "POST /api/warehouse/sync",
+      "GET /api/warehouse/status",
+      "POST /api/sql"
     ]
   });
 });
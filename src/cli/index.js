@@ -12,14 +12,18 @@ import "dotenv/config";
 import inquirer from "inquirer";
 import ora from "ora";
 import chalk from "chalk";
-import { loadConfig } from "../utils/config.js";
-import { buildPrompts, buildPresetPrompts, buildAdhocPrompts, buildSiteSelectionPrompts, buildSortingPrompts, displaySortingFeedback } from "./prompts.js";
+import { loadConfig, getEnabledSources } from "../utils/config.js";
+import { buildPrompts, buildPresetPrompts, buildAdhocPrompts, buildFilterPrompts, toFilter, buildSiteSelectionPrompts, buildWarehouseSQLPrompts, buildSortingPrompts, displaySortingFeedback, displayFilterFeedback } from "./prompts.js";
 import { runQuery } from "../core/query-runner.js";
+import { getDatasource, getCapabilities } from "../datasources/index.js";
 import { renderOutput } from "./renderers.js";
 import { getOAuth2Client, getAvailableSites } from "../datasources/searchconsole.js";
 import { saveSelectedSite, getSelectedSite, hasValidSiteSelection, clearSelectedSite, getVerifiedSites, signOut } from "../utils/site-manager.js";
 import { ensureAuthentication } from "../utils/auth-helper.js";
 import { getDatabase } from "../utils/database.js";
+import { syncWarehouse, getWarehouseStatus } from "../core/warehouse.js";
+import { runWarehouseSQL, getWarehouseSQLTables } from "../core/warehouse-sql.js";
+import { QuotaExceededError, AuthExpiredError, PermissionDeniedError, InvalidQueryError, QueryCancelledError, QueryCostLimitError } from "../utils/errors.js";
 
 // Helper function to wait for user to continue
 async function waitForEnter() {
@@ -31,6 +35,22 @@ async function waitForEnter() {
   }]);
 }
 
+// Print an error with a hint on what to do next for typed Google API errors
+function showError(error) {
+  console.error(chalk.red(error.message));
+  
+  if (error instanceof QuotaExceededError) {
+    const wait = error.retryAfterMs ? `${Math.ceil(error.retryAfterMs / 1000)} seconds` : "a few minutes";
+    console.log(chalk.yellow(`Google API quota exceeded. Wait ${wait} before trying again, or narrow the query (shorter date range, no chunking).`));
+  } else if (error instanceof AuthExpiredError) {
+    console.log(chalk.yellow(`Your Google sign-in has expired. Choose "Sign in with Google Account" from the menu to sign in again.`));
+  } else if (error instanceof PermissionDeniedError) {
+    console.log(chalk.yellow("Make sure the signed-in Google account has access to the selected property."));
+  } else if (error instanceof InvalidQueryError) {
+    console.log(chalk.yellow("Check the selected metrics, dimensions, filters and date range."));
+  }
+}
+
 async function handleAuthentication(cfg) {
   const spinner = ora("Authenticating with Google...").start();
   try {
@@ -87,7 +107,7 @@ async function handleListSites(cfg) {
     }
   } catch (error) {
     spinner.fail("Failed to fetch sites");
-    console.error(chalk.red(error.message));
+    showError(error);
     process.exitCode = 1;
   }
 }
@@ -113,11 +133,70 @@ async function handleSiteSelection(cfg) {
     }
   } catch (error) {
     spinner.fail("Site selection failed");
-    console.error(chalk.red(error.message));
+    showError(error);
     process.exitCode = 1;
   }
 }
 
+// Backfill or update the local warehouse of the selected site
+async function handleWarehouseSync(cfg) {
+  if (!hasValidSiteSelection()) {
+    console.log(chalk.yellow("No Google Search Console site selected."));
+    console.log(chalk.blue("Please select a site first."));
+    return;
+  }
+  
+  const siteUrl = getSelectedSite();
+  console.log(chalk.blue(`Syncing local data of ${siteUrl} (Ctrl+C to stop, synced days are kept)`));
+  
+  // Ctrl+C stops after the current day instead of exiting the CLI
+  const cancel = new AbortController();
+  const onInterrupt = () => cancel.abort(new QueryCancelledError("Sync stopped"));
+  process.once("SIGINT", onInterrupt);
+  try {
+    const auth = await ensureAuthentication(cfg);
+    const summary = await syncWarehouse(cfg, auth, { siteUrl, signal: cancel.signal });
+    
+    summary.tables.forEach(table => {
+      console.log(chalk.green(`${table.dimensions.join(", ")}: synced ${table.days} day(s), ${table.rows} rows (${table.preliminary} preliminary)`));
+    });
+  } catch (error) {
+    showError(error);
+  } finally {
+    process.removeListener("SIGINT", onInterrupt);
+  }
+  
+  getWarehouseStatus(cfg, siteUrl).forEach(status => {
+    const range = status.firstDate ? `${status.firstDate} to ${status.lastDate}` : "no data";
+    console.log(chalk.gray(`${status.table}: ${range}, ${status.finalDays} final and ${status.preliminaryDays} preliminary day(s), ${status.rows} rows`));
+  });
+}
+
+// Run a read-only SQL query over the local warehouse data of the user's sites
+async function handleRunSQL(cfg) {
+  try {
+    await ensureAuthentication(cfg);
+    const sites = (await getVerifiedSites(cfg)).map(site => site.siteUrl);
+    
+    console.log(chalk.blue("Tables:"));
+    getWarehouseSQLTables(cfg).forEach(({ table, columns }) => {
+      console.log(`  ${chalk.cyan(table)} ${chalk.gray(`(${columns.join(", ")})`)}`);
+    });
+    
+    const answers = await inquirer.prompt(buildWarehouseSQLPrompts());
+    const { rows, truncated } = await runWarehouseSQL(answers.sql, cfg, { siteUrls: sites });
+    console.log(chalk.green(`Fetched ${rows.length} rows`));
+    if (truncated) {
+      console.log(chalk.yellow(`Only the first ${cfg.limits.maxRows} rows are shown (limits.maxRows)`));
+    }
+    
+    return await renderOutput(rows, answers, cfg);
+  } catch (error) {
+    showError(error);
+    return true;
+  }
+}
+
 async function handleSignOut() {
   console.log(chalk.blue("Signing out..."));
   
@@ -160,6 +239,15 @@ async function main() {
           await handleSiteSelection(cfg);
           await waitForEnter();
           continue;
+        } else if (initialAnswers.action === "warehouse_sync") {
+          await handleWarehouseSync(cfg);
+          await waitForEnter();
+          continue;
+        } else if (initialAnswers.action === "sql") {
+          if (await handleRunSQL(cfg)) {
+            await waitForEnter();
+          }
+          continue;
         } else if (initialAnswers.action === "signout") {
           await handleSignOut();
           await waitForEnter();
@@ -170,73 +258,131 @@ async function main() {
         }
         
         // Skip query processing for non-query actions
-        if (!["adhoc", "preset"].includes(initialAnswers.action)) {
+        if (!["adhoc", "compare", "preset"].includes(initialAnswers.action)) {
           continue;
         }
         
-        // Hardcode source to searchconsole since we only support GSC
-        const source = "searchconsole";
+        // Only asked when more than one source is enabled
+        const source = initialAnswers.source || getEnabledSources(cfg)[0];
         
-        // Check if we need to select a site for GSC queries
-        if (!hasValidSiteSelection()) {
-          console.log(chalk.yellow("No Google Search Console site selected."));
-          console.log(chalk.blue("Please select a site first."));
-          await handleSiteSelection(cfg);
-          await waitForEnter();
-          continue;
-        }
-        
-        // Set the selected site as environment variable for the query
-        const selectedSite = getSelectedSite();
-        process.env.GSC_SITE_URL = selectedSite;
-        console.log(chalk.blue(`Using site: ${selectedSite}`));
-        
-        // Ensure authentication is available before running queries
-        let auth;
-        try {
-          auth = await ensureAuthentication(cfg);
-        } catch (error) {
-          console.log(chalk.yellow("Authentication required. Please authenticate first."));
-          await handleAuthentication(cfg);
-          await waitForEnter();
-          continue;
+        // Site selection and Google sign-in only apply to the Search Console API
+        let auth = null;
+        if (source === "searchconsole") {
+          if (!hasValidSiteSelection()) {
+            console.log(chalk.yellow("No Google Search Console site selected."));
+            console.log(chalk.blue("Please select a site first."));
+            await handleSiteSelection(cfg);
+            await waitForEnter();
+            continue;
+          }
+          
+          // Set the selected site as environment variable for the query
+          const selectedSite = getSelectedSite();
+          process.env.GSC_SITE_URL = selectedSite;
+          console.log(chalk.blue(`Using site: ${selectedSite}`));
+          
+          // Ensure authentication is available before running queries
+          try {
+            auth = await ensureAuthentication(cfg);
+          } catch (error) {
+            console.log(chalk.yellow("Authentication required. Please authenticate first."));
+            await handleAuthentication(cfg);
+            await waitForEnter();
+            continue;
+          }
         }
         
         // Build additional prompts based on action
         let additionalAnswers = {};
         if (initialAnswers.action === "preset") {
           additionalAnswers = await inquirer.prompt(await buildPresetPrompts(cfg, source));
-        } else if (initialAnswers.action === "adhoc") {
-          additionalAnswers = await inquirer.prompt(await buildAdhocPrompts(cfg, source));
+        } else {
+          additionalAnswers = await inquirer.prompt(await buildAdhocPrompts(cfg, source, initialAnswers.action));
+          
+          // Collect filters one at a time until the user is done
+          if (additionalAnswers.addFilters) {
+            const capabilities = await getCapabilities(getDatasource(source), additionalAnswers, { cfg });
+            additionalAnswers.filters = [];
+            let addAnother = true;
+            while (addAnother) {
+              const filterAnswers = await inquirer.prompt(buildFilterPrompts(cfg, source, additionalAnswers, capabilities));
+              additionalAnswers.filters.push(toFilter(filterAnswers));
+              addAnother = filterAnswers.addAnother;
+            }
+            displayFilterFeedback(additionalAnswers.filters, source);
+          }
         }
         
         // Merge all answers and add source
         const answers = { ...initialAnswers, ...additionalAnswers, source };
         
-        const spinner = ora("Running query...").start();
+        const spinner = ora("Running query... (Ctrl+C to cancel)").start();
+        
+        // Ctrl+C while the query runs cancels it instead of exiting the CLI
+        // (ora re-emits SIGINT while it holds stdin)
+        const cancel = new AbortController();
+        const onInterrupt = () => cancel.abort(new QueryCancelledError());
+        process.once("SIGINT", onInterrupt);
+        const queryCtx = { signal: cancel.signal, noCache: answers.useCache === false };
         try {
-          const rows = await runQuery(answers, cfg, auth);
-          spinner.succeed(`Fetched ${rows.length} rows`);
+          let rows;
+          try {
+            try {
+              rows = await runQuery(answers, cfg, auth, queryCtx);
+            } catch (e) {
+              if (!(e instanceof QueryCostLimitError)) throw e;
+              
+              // Expensive BigQuery query: only run it when the user accepts the cost
+              spinner.stop();
+              const { runAnyway } = await inquirer.prompt([{
+                type: "confirm",
+                name: "runAnyway",
+                message: `${e.message} Run it anyway?`,
+                default: false
+              }]);
+              if (!runAnyway) throw new QueryCancelledError();
+              
+              spinner.start();
+              queryCtx.overrideMaxBytesBilled = true;
+              rows = await runQuery(answers, cfg, auth, queryCtx);
+            }
+          } finally {
+            process.removeListener("SIGINT", onInterrupt);
+          }
+          const cache = queryCtx.metadata?.cache;
+          if (cache?.status === "hit") {
+            spinner.succeed(`Fetched ${rows.length} rows from the cache (stored ${new Date(cache.storedAt).toLocaleTimeString()})`);
+          } else if (queryCtx.metadata?.servedFrom === "warehouse") {
+            spinner.succeed(`Fetched ${rows.length} rows from the local warehouse`);
+          } else {
+            spinner.succeed(`Fetched ${rows.length} rows`);
+          }
           
           let finalAnswers = { ...answers };
           
-          // Only ask for sorting preferences for ad-hoc queries
-          if (initialAnswers.action === "adhoc") {
+          // Ask for sorting on ad-hoc and comparison queries and SQL presets,
+          // whose columns are only known now
+          const sqlPreset = initialAnswers.action === "preset" && cfg.presets.find(p => p.id === answers.preset)?.sql;
+          if (initialAnswers.action !== "preset" || sqlPreset) {
             const sortingAnswers = await inquirer.prompt(await buildSortingPrompts(rows));
             finalAnswers = { ...answers, ...sortingAnswers };
             
             // Show sorting feedback to user
             displaySortingFeedback(sortingAnswers.sorting);
           }
-          // For preset queries, don't override sorting - let them use their natural order
+          // For other presets, don't override sorting - let them use their natural order
           
           const shouldContinue = await renderOutput(rows, finalAnswers, cfg);
           if (shouldContinue) {
             await waitForEnter();
           }
         } catch (e) {
+          if (e instanceof QueryCancelledError) {
+            spinner.warn("Query cancelled");
+            continue;
+          }
           spinner.fail("Query failed");
-          console.error(chalk.red(e.message));
+          showError(e);
           await waitForEnter();
         }
       } catch (e) {
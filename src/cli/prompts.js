@@ -1,14 +1,66 @@
 import chalk from "chalk";
 import inquirer from "inquirer";
 import { getSelectedSite, getVerifiedSites, hasValidSiteSelection } from "../utils/site-manager.js";
+import { GSC_UNSUPPORTED_DIMENSIONS, CONTENT_GROUP_DIMENSION } from "../core/schema.js";
+import { getDatasource, getCapabilities } from "../datasources/index.js";
+import { listFiles } from "../datasources/file.js";
+import { getEnabledSources, getPresetsForSource } from "../utils/config.js";
+import { getTemplateParameters, checkSQLParamValue } from "../core/sql-template.js";
+import { getAvailableDerivedMetrics } from "../core/derived-metrics.js";
+
+const SOURCE_LABELS = {
+  searchconsole: "Google Search Console",
+  bigquery: "BigQuery export",
+  file: "Local file (GSC export or saved result)",
+};
+
+const AGGREGATION_TYPE_CHOICES = [
+  { name: "Auto (by page for page data, otherwise by property)", value: "auto" },
+  { name: "By page", value: "byPage" },
+  { name: "By property", value: "byProperty" },
+];
+
+const SEARCH_TYPE_CHOICES = [
+  { name: "Web", value: "web" },
+  { name: "Image", value: "image" },
+  { name: "Video", value: "video" },
+  { name: "News (Search results News tab)", value: "news" },
+  { name: "Discover", value: "discover" },
+  { name: "Google News", value: "googleNews" },
+];
+
+const FILTER_OPERATOR_CHOICES = [
+  { name: "equals", value: "eq", short: "equals" },
+  { name: "does not equal", value: "neq", short: "not equals" },
+  { name: "contains (not case-sensitive)", value: "contains", short: "contains" },
+  { name: "does not contain", value: "notContains", short: "not contains" },
+  { name: "matches regex (RE2)", value: "includingRegex", short: "matches" },
+  { name: "does not match regex (RE2)", value: "excludingRegex", short: "excludes" },
+  { name: "is one of", value: "in", short: "in" },
+  { name: "is not one of", value: "notIn", short: "not in" },
+  { name: "between (inclusive)", value: "between", short: "between" },
+];
+
+// Dimension operators that take several comma-separated values
+const LIST_OPERATORS = ["in", "notIn", "between"];
+
+const METRIC_OPERATOR_CHOICES = [
+  { name: "greater than", value: "gt", short: ">" },
+  { name: "greater than or equal", value: "gte", short: ">=" },
+  { name: "less than", value: "lt", short: "<" },
+  { name: "less than or equal", value: "lte", short: "<=" },
+  { name: "between (inclusive)", value: "between", short: "between" },
+];
+
+const FILTER_VALUE_HINTS = {
+  country: "Country code (ISO 3166-1 alpha-3, e.g. usa)",
+  device: "Device (DESKTOP, MOBILE or TABLET)",
+  searchAppearance: "Search appearance type (e.g. AMP_BLUE_LINK)",
+};
 
 export async function buildPrompts(cfg) {
-  const enabledSources = Object.entries(cfg.sources)
-    .filter(([, v]) => v.enabled)
-    .map(([k, v]) => ({ 
-      name: k === 'bigquery' ? `${k.toUpperCase()} (Optional)` : k.toUpperCase(), 
-      value: k 
-    }));
+  const enabledSources = getEnabledSources(cfg)
+    .map(source => ({ name: SOURCE_LABELS[source] || source, value: source }));
 
   if (enabledSources.length === 0) {
     throw new Error("No data sources are enabled. Check your configuration.");
@@ -20,15 +72,26 @@ export async function buildPrompts(cfg) {
       name: "action",
       message: "What would you like to do?",
       choices: [
-        { name: "GSC Query: Ad-hoc", value: "adhoc" },
-        { name: "GSC Query: Report", value: "preset" },
+        { name: "Query: Ad-hoc", value: "adhoc" },
+        { name: "Query: Compare periods", value: "compare" },
+        { name: "Query: Report", value: "preset" },
         { name: "GSC List sites", value: "sites" },
         { name: "GSC Select site", value: "select_site" },
+        { name: "GSC Sync local data", value: "warehouse_sync" },
+        { name: "Run SQL (local data)", value: "sql" },
         { name: "Sign in with Google Account that has verified access to GSC", value: "auth" },
         { name: "Sign out", value: "signout" },
         { name: "Exit", value: "exit" },
       ],
     },
+    {
+      type: "list",
+      name: "source",
+      message: "Data source",
+      // With a single enabled source there is nothing to choose
+      when: (answers) => ["adhoc", "compare", "preset"].includes(answers.action) && enabledSources.length > 1,
+      choices: enabledSources,
+    },
   ];
 
   return base;
@@ -57,7 +120,7 @@ export function buildSiteSelectionPrompts(verifiedSites) {
 }
 
 export async function buildPresetPrompts(cfg, source) {
-  const presets = cfg.presets.filter(p => p.source === source || p.source === "any");
+  const presets = getPresetsForSource(source, cfg);
   
   if (presets.length === 0) {
     throw new Error(`No presets available for ${source}`);
@@ -70,16 +133,21 @@ export async function buildPresetPrompts(cfg, source) {
       message: "Select a preset",
       choices: presets.map(p => ({ name: p.label, value: p.id })),
     },
+    ...buildSQLParamPrompts(presets, cfg),
+    ...buildFilePrompts(cfg, source),
+    {
+      type: "list",
+      name: "searchType",
+      message: "Search type",
+      when: () => source === "searchconsole",
+      choices: SEARCH_TYPE_CHOICES,
+      default: (answers) => presets.find(p => p.id === answers.preset)?.searchType || "web",
+    },
     {
       type: "list",
       name: "dateRangeType",
       message: "Date range",
-      choices: [
-        { name: "Last 7 days", value: "last7" },
-        { name: "Last 28 days", value: "last28" },
-        { name: "Last 90 days", value: "last90" },
-        { name: "Custom range", value: "custom" },
-      ],
+      choices: getDateRangeChoices(source),
     },
     {
       type: "input",
@@ -105,6 +173,24 @@ export async function buildPresetPrompts(cfg, source) {
         return true;
       },
     },
+    {
+      type: "list",
+      name: "aggregationType",
+      message: "Aggregation",
+      when: () => source === "searchconsole",
+      // byProperty is not allowed with page data (content groups are fetched by page)
+      choices: (answers) => AGGREGATION_TYPE_CHOICES.filter(c =>
+        c.value !== "byProperty" || !usesPages(presets.find(p => p.id === answers.preset)?.dimensions)
+      ),
+      default: (answers) => presets.find(p => p.id === answers.preset)?.aggregationType || "auto",
+    },
+    {
+      type: "confirm",
+      name: "freshData",
+      message: "Include fresh (preliminary) data from the last few days?",
+      when: () => source === "searchconsole",
+      default: false,
+    },
     {
       type: "number",
       name: "limit",
@@ -117,6 +203,7 @@ export async function buildPresetPrompts(cfg, source) {
         return true;
       },
     },
+    ...buildCachePrompts(cfg, source),
     {
       type: "list",
       name: "outputFormat",
@@ -136,24 +223,51 @@ export async function buildPresetPrompts(cfg, source) {
   ];
 }
 
-export async function buildAdhocPrompts(cfg, source) {
+/**
+ * Prompts for ad-hoc queries. With action "compare" they also ask which
+ * period to compare with, and leave out the date dimension the periods
+ * can't be joined on.
+ */
+export async function buildAdhocPrompts(cfg, source, action = "adhoc") {
   const sourceConfig = cfg.sources[source];
   if (!sourceConfig) {
     throw new Error(`Source ${source} not configured`);
   }
 
-  const metrics = Object.entries(sourceConfig.metrics || {})
-    .map(([key, value]) => ({ name: `${key} (${value})`, value: value }));
-  
-  const dimensions = Object.entries(sourceConfig.dimensions || {})
-    .map(([key, value]) => ({ name: `${key} (${value})`, value: value }));
+  // Offer what the data source says it supports, for the chosen table if any
+  const datasource = getDatasource(source);
+  const tables = await listTables(datasource, cfg);
+  const describe = (answers) => getCapabilities(datasource, answers, { cfg });
 
   return [
+    ...buildFilePrompts(cfg, source),
+    {
+      type: "list",
+      name: "table",
+      message: "Table",
+      when: () => tables.length > 0,
+      choices: [{ name: "Search Console export (default)", value: "" }, ...tables],
+      filter: (input) => input || undefined,
+    },
+    {
+      type: "list",
+      name: "searchType",
+      message: "Search type",
+      when: () => source === "searchconsole",
+      choices: SEARCH_TYPE_CHOICES,
+      default: "web",
+    },
     {
       type: "checkbox",
       name: "metrics",
       message: "Select metrics",
-      choices: metrics,
+      choices: async (answers) => {
+        const { metrics } = await describe(answers);
+        return [
+          ...metrics.map(metric => ({ name: metric, value: metric })),
+          ...getAvailableDerivedMetrics(cfg, metrics).map(metric => ({ name: `${metric.name} (${metric.label})`, value: metric.name, short: metric.name })),
+        ];
+      },
       default: ["clicks", "impressions", "ctr", "position"],
       validate: (input) => {
         if (input.length === 0) {
@@ -166,7 +280,11 @@ export async function buildAdhocPrompts(cfg, source) {
       type: "checkbox",
       name: "dimensions",
       message: "Select dimensions",
-      choices: dimensions,
+      // Discover and Google News have no query data
+      choices: async (answers) => (await describe(answers)).dimensions
+        .filter(dimension => !(GSC_UNSUPPORTED_DIMENSIONS[answers.searchType] || []).includes(dimension))
+        .filter(dimension => !(action === "compare" && dimension === "date"))
+        .map(dimension => ({ name: dimension, value: dimension })),
       validate: (input) => {
         if (input.length === 0) {
           return "Please select at least one dimension";
@@ -178,12 +296,7 @@ export async function buildAdhocPrompts(cfg, source) {
       type: "list",
       name: "dateRangeType",
       message: "Date range",
-      choices: [
-        { name: "Last 7 days", value: "last7" },
-        { name: "Last 28 days", value: "last28" },
-        { name: "Last 90 days", value: "last90" },
-        { name: "Custom range", value: "custom" },
-      ],
+      choices: getDateRangeChoices(source),
     },
     {
       type: "input",
@@ -209,6 +322,51 @@ export async function buildAdhocPrompts(cfg, source) {
         return true;
       },
     },
+    {
+      type: "list",
+      name: "compareTo",
+      message: "Compare with",
+      when: () => action === "compare",
+      choices: [
+        { name: "Previous period (same number of days before)", value: "previous" },
+        { name: "Same period last year", value: "yoy" },
+      ],
+    },
+    {
+      type: "list",
+      name: "chunkBy",
+      message: "Fetch mode",
+      when: () => source === "searchconsole",
+      choices: [
+        { name: "Single request (fastest)", value: "none" },
+        { name: "Day by day (least sampling on long ranges)", value: "day" },
+        { name: "Week by week", value: "week" },
+      ],
+    },
+    {
+      type: "list",
+      name: "aggregationType",
+      message: "Aggregation",
+      when: () => source === "searchconsole",
+      // byProperty is not allowed with page data (content groups are fetched by page)
+      choices: (answers) => AGGREGATION_TYPE_CHOICES.filter(c =>
+        c.value !== "byProperty" || !usesPages(answers.dimensions)
+      ),
+      default: "auto",
+    },
+    {
+      type: "confirm",
+      name: "freshData",
+      message: "Include fresh (preliminary) data from the last few days?",
+      when: () => source === "searchconsole",
+      default: false,
+    },
+    {
+      type: "confirm",
+      name: "addFilters",
+      message: "Add filters? (dimension filters are applied before the row limit)",
+      default: false,
+    },
     {
       type: "number",
       name: "limit",
@@ -221,6 +379,37 @@ export async function buildAdhocPrompts(cfg, source) {
         return true;
       },
     },
+    ...buildCachePrompts(cfg, source),
+    {
+      type: "list",
+      name: "outputFormat",
+      message: "Output format",
+      choices: [
+        { name: "Table (console)", value: "table" },
+        { name: "JSON", value: "json" },
+        { name: "CSV", value: "csv" },
+      ],
+    },
+    {
+      type: "confirm",
+      name: "saveToFile",
+      message: "Save to file?",
+      default: false,
+    },
+  ];
+}
+
+/**
+ * Prompts for a read-only SQL query over the local warehouse
+ */
+export function buildWarehouseSQLPrompts() {
+  return [
+    {
+      type: "input",
+      name: "sql",
+      message: "SQL (one SELECT statement)",
+      validate: (input) => input.trim() !== "" || "Enter a SELECT statement",
+    },
     {
       type: "list",
       name: "outputFormat",
@@ -240,6 +429,224 @@ export async function buildAdhocPrompts(cfg, source) {
   ];
 }
 
+function usesPages(dimensions = []) {
+  return dimensions.includes("page") || dimensions.includes(CONTENT_GROUP_DIMENSION);
+}
+
+// Values for the parameters of SQL presets, asked only for the chosen preset.
+// Dotted names collect them in answers.variables.
+function buildSQLParamPrompts(presets, cfg) {
+  const sqlPresets = presets.filter(preset => preset.sql);
+
+  const variablePrompts = sqlPresets.flatMap(preset => (preset.params || []).map(param => ({
+    type: param.choices ? "list" : param.type === "BOOL" ? "confirm" : "input",
+    name: `variables.${param.name}`,
+    message: param.label || param.name,
+    when: (answers) => answers.preset === preset.id,
+    choices: param.choices,
+    default: param.default,
+    validate: (input) => {
+      if (input === undefined || String(input).trim() === "") {
+        return "A value is required";
+      }
+      return checkSQLParamValue(param, input) || true;
+    },
+  })));
+
+  const usesSite = (answers) => getTemplateParameters(sqlPresets.find(p => p.id === answers.preset)?.sql || "").includes("site_url");
+
+  return [
+    ...variablePrompts,
+    {
+      type: "input",
+      name: "siteUrl",
+      message: "Site (bound to @site_url)",
+      when: usesSite,
+      default: () => getSelectedSite() || cfg.sources.searchconsole?.siteUrl || undefined,
+      validate: (input) => input && input.trim() ? true : "A site is required",
+      filter: (input) => input.trim(),
+    },
+  ];
+}
+
+// Answer no to fetch fresh results instead of cached ones (runQuery's noCache)
+function buildCachePrompts(cfg, source) {
+  if (!cfg.cache?.enabled || getDatasource(source).cacheable === false) {
+    return [];
+  }
+
+  return [
+    {
+      type: "confirm",
+      name: "useCache",
+      message: "Use cached results if this query ran recently?",
+      default: true,
+    },
+  ];
+}
+
+// Tables of sources that have more than one (BigQuery). Without access to
+// the source only its default table is offered.
+async function listTables(datasource, cfg) {
+  if (!datasource.tables) {
+    return [];
+  }
+  try {
+    return await datasource.tables({ cfg });
+  } catch (error) {
+    console.log(chalk.yellow(`Could not list the tables of ${datasource.id}: ${error.message}`));
+    return [];
+  }
+}
+
+// Files exported from the GSC UI or saved by this tool
+function buildFilePrompts(cfg, source) {
+  if (source !== "file") {
+    return [];
+  }
+
+  const files = listFiles(cfg);
+  if (files.length === 0) {
+    throw new Error("No CSV, JSON or ZIP files found in the folders of sources.file.dirs");
+  }
+
+  return [
+    {
+      type: "list",
+      name: "file",
+      message: "File",
+      choices: files,
+    },
+  ];
+}
+
+function getDateRangeChoices(source) {
+  const choices = [
+    { name: "Last 7 days", value: "last7" },
+    { name: "Last 28 days", value: "last28" },
+    { name: "Last 90 days", value: "last90" },
+    { name: "Custom range", value: "custom" },
+  ];
+
+  // Files usually cover one export period, so default to all of it
+  return source === "file" ? [{ name: "All dates in the file", value: "all" }, ...choices] : choices;
+}
+
+/**
+ * Build the prompts for one filter. The caller repeats them while the user
+ * answers yes to "addAnother" and turns each set of answers into a filter
+ * with toFilter(). Pass capabilities when the query has a table of its own.
+ */
+export function buildFilterPrompts(cfg, source, answers = {}, capabilities = getDatasource(source).capabilities) {
+  const unsupported = GSC_UNSUPPORTED_DIMENSIONS[answers.searchType] || [];
+
+  // The GSC API filters on every dimension except date
+  const dimensions = capabilities.dimensions
+    .filter(dimension => !(source === "searchconsole" && dimension === "date") && !unsupported.includes(dimension))
+    .map(dimension => ({ name: dimension, value: { type: "dimension", field: dimension }, short: dimension }));
+
+  const metrics = capabilities.metrics
+    .map(metric => ({ name: `${metric} (after fetch)`, value: { type: "metric", field: metric }, short: metric }));
+  const operators = FILTER_OPERATOR_CHOICES.filter(choice => capabilities.operators.includes(choice.value));
+
+  return [
+    {
+      type: "list",
+      name: "field",
+      message: "Filter on which field?",
+      choices: [...dimensions, new inquirer.Separator(), ...metrics],
+    },
+    {
+      type: "list",
+      name: "op",
+      message: "Operator",
+      choices: (filterAnswers) => filterAnswers.field.type === "metric"
+        ? METRIC_OPERATOR_CHOICES
+        : operators,
+    },
+    {
+      type: "input",
+      name: "value",
+      message: (filterAnswers) => {
+        if (filterAnswers.op === "between") {
+          return "Range (min, max)";
+        }
+        if (filterAnswers.field.type === "metric") {
+          return "Number";
+        }
+        if (LIST_OPERATORS.includes(filterAnswers.op)) {
+          return "Values, separated by commas";
+        }
+        return FILTER_VALUE_HINTS[filterAnswers.field.field] || "Expression";
+      },
+      validate: (input, filterAnswers) => {
+        if (!input || !input.trim()) {
+          return "Value cannot be empty";
+        }
+        if (filterAnswers.field.type === "metric") {
+          const numbers = input.split(",").map(part => part.trim());
+          const expected = filterAnswers.op === "between" ? 2 : 1;
+          if (numbers.length !== expected || numbers.some(n => n === "" || isNaN(Number(n)))) {
+            return expected === 2 ? "Enter two numbers separated by a comma" : "Please enter a number";
+          }
+        } else if (filterAnswers.op === "between" && input.split(",").filter(part => part.trim()).length !== 2) {
+          return "Enter two values separated by a comma";
+        }
+        return true;
+      },
+      filter: (input) => input.trim(),
+    },
+    {
+      type: "confirm",
+      name: "addAnother",
+      message: "Add another filter?",
+      default: false,
+    },
+  ];
+}
+
+/**
+ * Turn the answers from buildFilterPrompts into a query filter
+ */
+export function toFilter(filterAnswers) {
+  const { type, field } = filterAnswers.field;
+
+  let value = filterAnswers.value;
+  if (type === "metric") {
+    const numbers = value.split(",").map(Number);
+    value = filterAnswers.op === "between" ? numbers : numbers[0];
+  } else if (LIST_OPERATORS.includes(filterAnswers.op)) {
+    value = value.split(",").map(part => part.trim()).filter(Boolean);
+  }
+
+  return { type, field, op: filterAnswers.op, value };
+}
+
+/**
+ * Display the filters that will be applied to the query
+ */
+export function displayFilterFeedback(filters, source = "searchconsole") {
+  if (!filters || filters.length === 0) {
+    return;
+  }
+
+  const describe = (f) => {
+    const choice = [...FILTER_OPERATOR_CHOICES, ...METRIC_OPERATOR_CHOICES].find(c => c.value === f.op);
+    const value = Array.isArray(f.value) ? f.value.join(f.op === "between" ? " and " : ", ") : `"${f.value}"`;
+    return `${f.field} ${choice?.short || f.op} ${value}`;
+  };
+
+  const dimensionFilters = filters.filter(f => f.type === "dimension");
+  const metricFilters = filters.filter(f => f.type === "metric");
+
+  if (dimensionFilters.length > 0) {
+    console.log(chalk.blue(`🔎 Filters applied by ${SOURCE_LABELS[source] || source}: ${dimensionFilters.map(describe).join(" AND ")}`));
+  }
+  if (metricFilters.length > 0) {
+    console.log(chalk.blue(`🔎 Filters applied after fetch: ${metricFilters.map(describe).join(" AND ")}`));
+  }
+}
+
 export function getDateRange(type, customStart, customEnd) {
   const today = new Date();
   const formatDate = (date) => date.toISOString().split('T')[0];
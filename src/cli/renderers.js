@@ -3,6 +3,10 @@ import path from "node:path";
 import { stringify } from "csv-stringify/sync";
 import chalk from "chalk";
 import inquirer from "inquirer";
+import { buildSortingPrompts, displaySortingFeedback } from "./prompts.js";
+
+// Marks rows built from fresh data that is not final yet
+const PRELIMINARY_MARKER = '⚠';
 
 // Global filter state
 let currentFilters = {
@@ -10,6 +14,9 @@ let currentFilters = {
   compareFilters: [] // Array of {field, operator, value}
 };
 
+// Sorting of the table pager, changed with 's' while paging
+let currentSorting = null;
+
 // Filter utility functions
 function getAvailableFields(rows) {
   const allKeys = new Set();
@@ -125,6 +132,7 @@ export async function renderOutput(rows, answers, cfg) {
   let filteredRows = applyAllFilters(rows);
   
   // Apply sorting if enabled
+  currentSorting = answers.sorting || null;
   let sortedRows = filteredRows;
   if (answers.sorting?.columns && !answers.sorting.columns.includes('none')) {
     sortedRows = applySorting(filteredRows, answers.sorting);
@@ -182,6 +190,14 @@ export function applySorting(rows, sortingConfig) {
         const valueA = a[column];
         const valueB = b[column];
         
+        // Empty values (e.g. the percent change of new rows) go last either way
+        if (valueA == null || valueB == null) {
+          if (valueA == null && valueB == null) {
+            continue;
+          }
+          return valueA == null ? 1 : -1;
+        }
+        
         let result = 0;
         if (valueA < valueB) {
           result = -1;
@@ -275,7 +291,10 @@ async function displayTableWithPagination(originalRows, filteredRows) {
     const formattedRows = pageRows.map(row => {
       const formattedRow = {};
       for (const [key, value] of Object.entries(row)) {
-        if (typeof value === 'number' && !Number.isInteger(value)) {
+        if (key === 'freshness' && value === 'preliminary') {
+          // console.table can't color cells, so flag preliminary rows with a marker
+          formattedRow[key] = `${PRELIMINARY_MARKER} preliminary`;
+        } else if (typeof value === 'number' && !Number.isInteger(value)) {
           // Round to 3 decimal places
           formattedRow[key] = Math.round(value * 1000) / 1000;
         } else {
@@ -287,18 +306,22 @@ async function displayTableWithPagination(originalRows, filteredRows) {
     
     console.table(formattedRows);
     
+    if (pageRows.some(row => row.freshness === 'preliminary')) {
+      console.log(chalk.yellow(`${PRELIMINARY_MARKER} Preliminary rows contain fresh data that Google may still revise`));
+    }
+    
     currentPage++;
     
     if (currentPage < totalPages) {
-      console.log(chalk.yellow(`\nPress Enter to continue, 'q' to quit, 'fq' for filter by query, 'fc' for filter by compare, 'fx' to clear filters...`));
+      console.log(chalk.yellow(`\nPress Enter to continue, 'q' to quit, 'fq' for filter by query, 'fc' for filter by compare, 'fx' to clear filters, 's' to sort...`));
       const result = await waitForEnterOrQuit(originalRows);
       if (result === 'quit') {
         console.log(chalk.blue('\nReturning to main menu...'));
         clearAllFilters(); // Clear filters when returning to menu
         return false; // Return to menu
       } else if (result === 'filter') {
-        // Re-apply filters and restart pagination
-        const newFilteredRows = applyAllFilters(originalRows);
+        // Re-apply filters and sorting and restart pagination
+        const newFilteredRows = applySorting(applyAllFilters(originalRows), currentSorting);
         return await displayTableWithPagination(originalRows, newFilteredRows);
       }
       console.clear(); // Clear screen for next page
@@ -334,6 +357,9 @@ async function waitForEnterOrQuit(originalRows) {
         clearAllFilters();
         console.log(chalk.green('All filters cleared.'));
         resolve('filter');
+      } else if (input === 's') {
+        await handleSort(originalRows);
+        resolve('filter');
       } else {
         // Any other input (including Enter with no text) continues to next page
         resolve('continue');
@@ -500,6 +526,12 @@ Enter 'q' to cancel:`);
   });
 }
 
+async function handleSort(originalRows) {
+  const sortingAnswers = await inquirer.prompt(await buildSortingPrompts(originalRows));
+  currentSorting = sortingAnswers.sorting;
+  displaySortingFeedback(currentSorting);
+}
+
 function save(content, ext, cfg) {
   fs.mkdirSync(cfg.output.outDir, { recursive: true });
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -1,3 +1,18 @@
+import {
+  GSC_CHUNK_SIZES,
+  GSC_AGGREGATION_TYPES,
+  GSC_SEARCH_TYPES,
+  GSC_UNSUPPORTED_DIMENSIONS,
+  GSC_FILTER_OPERATORS,
+  OR_GROUP_OPERATORS,
+  METRIC_FILTER_OPERATORS,
+  COMPARE_MODES,
+  CONTENT_GROUP_DIMENSION,
+} from "../core/schema.js";
+import { isFilterGroup, flattenFilters } from "../core/filters.js";
+import { validateDerivedMetrics } from "../core/derived-metrics.js";
+import { validateContentGroups } from "../core/content-groups.js";
+
 export function validateConfig(cfg) {
   const errors = [];
 
@@ -9,6 +24,7 @@ export function validateConfig(cfg) {
     if (!cfg.sources.searchconsole.credentialsFile && !process.env.GSC_CREDENTIALS_FILE && !process.env.GOOGLE_APPLICATION_CREDENTIALS) {
       errors.push("GSC credentials are required (set GSC_CREDENTIALS_FILE or GOOGLE_APPLICATION_CREDENTIALS env var or in config)");
     }
+    errors.push(...validateContentGroups(cfg.sources.searchconsole.contentGroups));
   }
 
 
@@ -30,6 +46,8 @@ export function validateConfig(cfg) {
     errors.push("At least one data source must be enabled");
   }
 
+  errors.push(...validateDerivedMetrics(cfg));
+
   return errors;
 }
 
@@ -58,15 +76,30 @@ export function validateDateRange(dateRange) {
   return null;
 }
 
-export function validateQuery(query) {
+/**
+ * Check a normalized query. With a datasource (see src/datasources/index.js)
+ * fields and operators are checked against its capabilities and its own
+ * validate() runs as well.
+ */
+export function validateQuery(query, datasource = null) {
   const errors = [];
 
-  if (!query.metrics || query.metrics.length === 0) {
-    errors.push("At least one metric is required");
-  }
+  // SQL presets pick their own columns and take parameters instead of filters
+  if (query.sql) {
+    if (datasource && !datasource.capabilities.sqlTemplates) {
+      errors.push(`Source ${datasource.id} does not run SQL presets`);
+    }
+    if (query.filters?.length > 0) {
+      errors.push("SQL presets take parameters instead of filters");
+    }
+  } else {
+    if (!query.metrics || query.metrics.length === 0) {
+      errors.push("At least one metric is required");
+    }
 
-  if (!query.dimensions || query.dimensions.length === 0) {
-    errors.push("At least one dimension is required");
+    if (!query.dimensions || query.dimensions.length === 0) {
+      errors.push("At least one dimension is required");
+    }
   }
 
   if (!query.dateRange) {
@@ -78,5 +111,201 @@ export function validateQuery(query) {
     }
   }
 
+  errors.push(...validateFilters(query.filters, datasource?.capabilities));
+
+  if (query.compareTo) {
+    errors.push(...validateComparison(query));
+  }
+
+  if (datasource && !query.sql) {
+    errors.push(...validateCapabilities(query, datasource));
+  }
+  if (datasource) {
+    errors.push(...(datasource.validate ? datasource.validate(query) : []));
+  }
+
   return errors;
 }
+
+function validateCapabilities(query, datasource) {
+  const errors = [];
+  const { metrics, dimensions } = datasource.capabilities;
+
+  const badMetrics = (query.metrics || []).filter(m => !metrics.includes(m));
+  if (badMetrics.length > 0) {
+    errors.push(`Metric(s) ${badMetrics.join(", ")} not supported by source ${datasource.id}`);
+  }
+
+  const badDimensions = (query.dimensions || []).filter(d => !dimensions.includes(d));
+  if (badDimensions.length > 0) {
+    errors.push(`Dimension(s) ${badDimensions.join(", ")} not supported by source ${datasource.id}`);
+  }
+
+  const badFields = flattenFilters(query.filters)
+    .filter(f => !(f.type === "metric" ? metrics : dimensions).includes(f.field))
+    .map(f => f.field);
+  if (badFields.length > 0) {
+    errors.push(`Cannot filter on ${[...new Set(badFields)].join(", ")} with source ${datasource.id}`);
+  }
+
+  return errors;
+}
+
+export function validateComparison(query) {
+  const errors = [];
+
+  if (!Object.values(COMPARE_MODES).includes(query.compareTo)) {
+    errors.push(`Unsupported compareTo value: ${query.compareTo} (use ${Object.values(COMPARE_MODES).join(" or ")})`);
+  }
+  if (query.sql) {
+    errors.push("SQL presets cannot be compared, their columns are only known after they run");
+  }
+  // Rows of the two periods are joined on their dimensions
+  if (query.dimensions?.includes("date")) {
+    errors.push("Comparisons cannot use the date dimension, as the periods have no dates in common");
+  }
+
+  return errors;
+}
+
+export function validateChunkBy(query) {
+  if (query.chunkBy && !Object.values(GSC_CHUNK_SIZES).includes(query.chunkBy)) {
+    return [`Unsupported chunkBy value: ${query.chunkBy} (use ${Object.values(GSC_CHUNK_SIZES).join(" or ")})`];
+  }
+  return [];
+}
+
+export function validateSearchType(query) {
+  const errors = [];
+  const searchType = query.searchType || "web";
+
+  if (!Object.values(GSC_SEARCH_TYPES).includes(searchType)) {
+    errors.push(`Unsupported searchType: ${searchType} (use one of ${Object.values(GSC_SEARCH_TYPES).join(", ")})`);
+    return errors;
+  }
+
+  // Discover and Google News report no query data, so those dimensions can
+  // be neither grouped nor filtered on
+  const unsupported = GSC_UNSUPPORTED_DIMENSIONS[searchType] || [];
+  const dimensions = (query.dimensions || []).filter(d => unsupported.includes(d));
+  if (dimensions.length > 0) {
+    errors.push(`Dimension(s) ${dimensions.join(", ")} not supported for searchType "${searchType}"`);
+  }
+
+  const filterFields = flattenFilters(query.filters)
+    .filter(f => f.type === "dimension" && unsupported.includes(f.field))
+    .map(f => f.field);
+  if (filterFields.length > 0) {
+    errors.push(`Filters on ${[...new Set(filterFields)].join(", ")} not supported for searchType "${searchType}"`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check filters and filter groups. Dimension operators are checked against
+ * the capabilities of a data source when given, otherwise against GSC's.
+ */
+export function validateFilters(filters = [], capabilities = null) {
+  const errors = [];
+
+  if (!Array.isArray(filters)) {
+    return ["Filters must be an array"];
+  }
+
+  filters.forEach(filter => {
+    if (!isFilterGroup(filter)) {
+      errors.push(...validateFilter(filter, capabilities));
+      return;
+    }
+
+    if (!["and", "or"].includes(filter.groupType)) {
+      errors.push(`Unsupported filter groupType: ${filter.groupType} (use "and" or "or")`);
+    }
+
+    if (filter.filters.length === 0) {
+      errors.push("Filter groups must contain at least one filter");
+      return;
+    }
+
+    filter.filters.forEach(f => {
+      if (f.type !== "dimension") {
+        errors.push("Filter groups may only contain dimension filters");
+      } else {
+        errors.push(...validateFilter(f, capabilities));
+      }
+    });
+
+    // "or" groups are sent to GSC as a single regex on one dimension
+    if (filter.groupType === "or") {
+      const fields = new Set(filter.filters.map(f => f.field));
+      if (fields.size > 1) {
+        errors.push(`"or" filter groups must filter a single dimension (got ${[...fields].join(", ")})`);
+      }
+      const badOps = filter.filters.filter(f => !OR_GROUP_OPERATORS.includes(f.op)).map(f => f.op);
+      if (badOps.length > 0) {
+        errors.push(`Operator(s) ${badOps.join(", ")} cannot be used in an "or" filter group`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+function validateFilter(filter, capabilities) {
+  const errors = [];
+
+  if (!filter || !filter.field) {
+    return ["Filters require a field"];
+  }
+
+  if (filter.value === undefined || filter.value === null || filter.value === "") {
+    errors.push(`Filter on ${filter.field} requires a value`);
+  }
+
+  if (filter.type === "dimension") {
+    const supported = capabilities ? capabilities.operators.includes(filter.op) : Boolean(GSC_FILTER_OPERATORS[filter.op]);
+    if (!supported) {
+      errors.push(`Unsupported dimension filter operator: ${filter.op}`);
+    } else if ((filter.op === "in" || filter.op === "notIn") && !(Array.isArray(filter.value) && filter.value.length > 0)) {
+      errors.push(`Filter on ${filter.field} with "${filter.op}" requires a list of values`);
+    } else if (filter.op === "between" && !(Array.isArray(filter.value) && filter.value.length === 2)) {
+      errors.push(`Filter on ${filter.field} with "between" requires a [min, max] pair`);
+    }
+  } else if (filter.type === "metric") {
+    if (!METRIC_FILTER_OPERATORS.includes(filter.op)) {
+      errors.push(`Unsupported metric filter operator: ${filter.op}`);
+    } else if (filter.op === "between") {
+      const isRange = Array.isArray(filter.value) && filter.value.length === 2 &&
+        filter.value.every(v => v !== "" && v !== null && !isNaN(Number(v)));
+      if (!isRange) {
+        errors.push(`Filter on ${filter.field} with "between" requires a [min, max] pair of numbers`);
+      }
+    } else if (filter.value !== undefined && filter.value !== null && filter.value !== "" && isNaN(Number(filter.value))) {
+      errors.push(`Filter on ${filter.field} requires a numeric value`);
+    }
+  } else {
+    errors.push(`Unsupported filter type: ${filter.type} (use "dimension" or "metric")`);
+  }
+
+  return errors;
+}
+
+export function validateAggregationType(query) {
+  const aggregationType = query.aggregationType || "auto";
+
+  if (!Object.values(GSC_AGGREGATION_TYPES).includes(aggregationType)) {
+    return [`Unsupported aggregationType: ${aggregationType} (use one of ${Object.values(GSC_AGGREGATION_TYPES).join(", ")})`];
+  }
+
+  // GSC rejects byProperty when grouping or filtering by page (content groups
+  // are fetched by page)
+  const pageFields = ["page", CONTENT_GROUP_DIMENSION];
+  const usesPage = (query.dimensions || []).some(d => pageFields.includes(d)) ||
+    flattenFilters(query.filters).some(f => f.type === "dimension" && pageFields.includes(f.field));
+  if (aggregationType === "byProperty" && usesPage) {
+    return ['aggregationType "byProperty" cannot be used when grouping or filtering by page'];
+  }
+
+  return [];
+}
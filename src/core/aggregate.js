@@ -0,0 +1,40 @@
+/**
+ * Helpers for combining GSC-shaped rows
+ */
+
+/**
+ * Merge rows that share the same dimension values. Clicks and impressions are
+ * summed; ctr and position are recomputed as impression-weighted values.
+ * @param {Object[]} rows - Rows with dimension fields and clicks/impressions/position
+ * @param {string[]} dimensions - Dimension names that identify a row
+ * @returns {Object[]} Merged rows, in the order each key was first seen
+ */
+export function mergeRows(rows, dimensions) {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const key = JSON.stringify(dimensions.map(dimension => row[dimension]));
+    let group = groups.get(key);
+
+    if (!group) {
+      group = { row: {}, clicks: 0, impressions: 0, weightedPosition: 0 };
+      dimensions.forEach(dimension => {
+        group.row[dimension] = row[dimension];
+      });
+      groups.set(key, group);
+    }
+
+    const impressions = row.impressions || 0;
+    group.clicks += row.clicks || 0;
+    group.impressions += impressions;
+    group.weightedPosition += (row.position || 0) * impressions;
+  }
+
+  return Array.from(groups.values(), group => ({
+    ...group.row,
+    clicks: group.clicks,
+    impressions: group.impressions,
+    ctr: group.impressions > 0 ? group.clicks / group.impressions : 0,
+    position: group.impressions > 0 ? group.weightedPosition / group.impressions : 0,
+  }));
+}
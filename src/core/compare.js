@@ -0,0 +1,94 @@
+import { addDays, formatDate, parseDate } from "../utils/date-range.js";
+import { COMPARE_MODES } from "./schema.js";
+
+/**
+ * Period-over-period comparisons: the same query for a second date range,
+ * joined to the current rows on their dimensions.
+ */
+
+// Averages can't be summed up for rows missing in one period
+const RATE_METRICS = ["ctr", "position"];
+
+/**
+ * Date range to compare with: the same number of days right before the
+ * range ("previous"), or the same days one year earlier ("yoy")
+ */
+export function getComparisonRange(dateRange, compareTo) {
+  if (compareTo === COMPARE_MODES.yoy) {
+    return { start: shiftYear(dateRange.start), end: shiftYear(dateRange.end) };
+  }
+
+  const days = Math.round((parseDate(dateRange.end) - parseDate(dateRange.start)) / (24 * 60 * 60 * 1000)) + 1;
+  return { start: addDays(dateRange.start, -days), end: addDays(dateRange.start, -1) };
+}
+
+/**
+ * Join the rows of both periods on their dimensions. Each metric gets the
+ * current value, `<metric>_prev`, `<metric>_delta` and `<metric>_delta_pct`
+ * (percent of the previous value, null when there is none), and each row a
+ * status: "new" (current period only), "lost" (previous period only) or "retained".
+ * Derived metrics (see derived-metrics.js) are compared too; deltas are only
+ * computed for numbers.
+ */
+export function compareRows(currentRows, previousRows, { dimensions, metrics, derivedMetrics = [] }) {
+  const derived = derivedMetrics.map(metric => metric.name);
+  const columns = { dimensions, metrics: [...metrics, ...derived], derived };
+  const keyOf = (row) => JSON.stringify(dimensions.map(dimension => row[dimension]));
+  const previousByKey = new Map(previousRows.map(row => [keyOf(row), row]));
+  const currentKeys = new Set();
+
+  const compared = currentRows.map(row => {
+    const key = keyOf(row);
+    currentKeys.add(key);
+    const previous = previousByKey.get(key);
+    return toComparedRow(row, previous, previous ? "retained" : "new", columns);
+  });
+
+  previousRows
+    .filter(row => !currentKeys.has(keyOf(row)))
+    .forEach(row => compared.push(toComparedRow(row, null, "lost", columns, true)));
+
+  return compared;
+}
+
+function toComparedRow(row, other, status, { dimensions, metrics, derived }, isPrevious = false) {
+  const current = isPrevious ? other : row;
+  const previous = isPrevious ? row : other;
+
+  const result = {};
+  dimensions.forEach(dimension => {
+    result[dimension] = row[dimension];
+  });
+
+  metrics.forEach(metric => {
+    const value = getValue(current, metric, derived);
+    const previousValue = getValue(previous, metric, derived);
+    const hasBoth = typeof value === "number" && typeof previousValue === "number";
+
+    result[metric] = value;
+    result[`${metric}_prev`] = previousValue;
+    result[`${metric}_delta`] = hasBoth ? value - previousValue : null;
+    result[`${metric}_delta_pct`] = hasBoth && previousValue !== 0 ? ((value - previousValue) / previousValue) * 100 : null;
+  });
+
+  result.status = status;
+  return result;
+}
+
+// Counts of a missing row are 0; its ctr, position and derived metrics are unknown
+function getValue(row, metric, derived) {
+  if (!row || row[metric] === undefined || row[metric] === null) {
+    return RATE_METRICS.includes(metric) || derived.includes(metric) ? null : 0;
+  }
+  return row[metric];
+}
+
+// Feb 29 becomes Feb 28 in years without one
+function shiftYear(value) {
+  const date = parseDate(value);
+  const shifted = new Date(Date.UTC(date.getUTCFullYear() - 1, date.getUTCMonth(), date.getUTCDate()));
+  if (shifted.getUTCMonth() !== date.getUTCMonth()) {
+    shifted.setUTCDate(0);
+  }
+  return formatDate(shifted);
+}
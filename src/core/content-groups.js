@@ -0,0 +1,87 @@
+import { mergeRows } from "./aggregate.js";
+import { isFilterGroup, flattenFilters, applyDimensionFilters } from "./filters.js";
+import { CONTENT_GROUP_DIMENSION } from "./schema.js";
+
+/**
+ * Content groups: site sections defined by regex rules on the page URL,
+ * { name, pattern } in sources.searchconsole.contentGroups. The first
+ * matching rule wins; other pages are in OTHER_GROUP. Search Console has no
+ * such dimension, so queries by contentGroup are fetched by page and summed
+ * up per group here.
+ */
+
+export const OTHER_GROUP = "other";
+
+export function validateContentGroups(rules = []) {
+  const errors = [];
+  rules.forEach(rule => {
+    if (!rule?.name || typeof rule.pattern !== "string") {
+      errors.push("Content groups need a name and a pattern");
+      return;
+    }
+    try {
+      new RegExp(rule.pattern);
+    } catch (error) {
+      errors.push(`Invalid pattern for content group ${rule.name}: ${error.message}`);
+    }
+  });
+  return errors;
+}
+
+// Patterns are compiled once per rule list
+const compiledRules = new WeakMap();
+
+export function getContentGroup(page, rules = []) {
+  if (!compiledRules.has(rules)) {
+    compiledRules.set(rules, rules.map(rule => ({ name: rule.name, regex: new RegExp(rule.pattern) })));
+  }
+  const rule = compiledRules.get(rules).find(({ regex }) => regex.test(page));
+  return rule ? rule.name : OTHER_GROUP;
+}
+
+// Whether a query groups or filters by contentGroup
+export function usesContentGroups(query) {
+  return query.dimensions.includes(CONTENT_GROUP_DIMENSION) ||
+    flattenFilters(query.filters).some(f => f.field === CONTENT_GROUP_DIMENSION);
+}
+
+/**
+ * Run a query that uses contentGroup with run(query), which only knows real
+ * dimensions: as many rows as maxRows allows are fetched by page, each page
+ * gets its group, the contentGroup filters are applied, and the rows are
+ * merged per requested dimensions (clicks and impressions summed, position
+ * weighted by impressions). The top rows by clicks are returned, up to
+ * query.limit.
+ */
+export async function runWithContentGroups(query, rules, maxRows, run) {
+  // Filters on contentGroup are applied here. "and" groups are split up
+  // first, "or" groups filter a single dimension.
+  const filters = query.filters.flatMap(filter => isFilterGroup(filter) && filter.groupType === "and" ? filter.filters : [filter]);
+  const isLocal = (filter) => (isFilterGroup(filter) ? filter.filters : [filter])
+    .some(f => f.field === CONTENT_GROUP_DIMENSION);
+  const dimensions = query.dimensions.filter(dimension => dimension !== CONTENT_GROUP_DIMENSION);
+
+  // ctr and position are recomputed from clicks, impressions and position
+  const rows = await run({
+    ...query,
+    dimensions: dimensions.includes("page") ? dimensions : [...dimensions, "page"],
+    metrics: ["clicks", "impressions", "ctr", "position"],
+    filters: filters.filter(filter => !isLocal(filter)),
+    limit: maxRows,
+  });
+
+  const grouped = rows.map(row => ({ ...row, [CONTENT_GROUP_DIMENSION]: getContentGroup(row.page, rules) }));
+  return mergeRows(applyDimensionFilters(grouped, filters.filter(isLocal)), query.dimensions)
+    .sort((a, b) => b.clicks - a.clicks)
+    .slice(0, query.limit)
+    .map(row => {
+      const result = {};
+      query.dimensions.forEach(dimension => {
+        result[dimension] = row[dimension];
+      });
+      query.metrics.forEach(metric => {
+        result[metric] = row[metric];
+      });
+      return result;
+    });
+}
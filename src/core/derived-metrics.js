@@ -0,0 +1,128 @@
+import { parseExpression, getFieldNames, getFunctionNames, evaluate } from "./expression.js";
+import { GSC_METRICS } from "./schema.js";
+
+/**
+ * Derived metrics: columns computed by runQuery from the metrics a source
+ * returns, defined in cfg.derivedMetrics as { name: { label?, formula } }.
+ * Formulas (see expression.js) can use base metrics and derived metrics
+ * defined before them. Queries list derived metrics in metrics like any
+ * other; the base metrics they need are fetched along with them.
+ */
+
+const NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Derived metrics of the config in definition order, with their parsed
+ * formula and the fields it uses. Throws on invalid definitions.
+ */
+export function getDerivedMetrics(cfg) {
+  const errors = validateDerivedMetrics(cfg);
+  if (errors.length > 0) {
+    throw new Error(`Invalid derived metrics: ${errors.join(", ")}`);
+  }
+
+  return Object.entries(cfg.derivedMetrics || {}).map(([name, definition]) => {
+    const tree = parseExpression(definition.formula);
+    return { name, label: definition.label || name, formula: definition.formula, tree, fields: [...getFieldNames(tree)] };
+  });
+}
+
+export function validateDerivedMetrics(cfg) {
+  const errors = [];
+  const defined = [];
+
+  Object.entries(cfg.derivedMetrics || {}).forEach(([name, definition]) => {
+    if (!NAME.test(name) || Object.values(GSC_METRICS).includes(name)) {
+      errors.push(`${name} is not a valid derived metric name (letters, digits and _, not a base metric)`);
+    }
+    if (typeof definition?.formula !== "string") {
+      errors.push(`Derived metric ${name} needs a formula`);
+      return;
+    }
+
+    try {
+      const fields = [...getFieldNames(parseExpression(definition.formula))];
+      const later = fields.filter(field => field === name || (cfg.derivedMetrics[field] && !defined.includes(field)));
+      if (later.length > 0) {
+        errors.push(`Derived metric ${name} can only use derived metrics defined before it (not ${later.join(", ")})`);
+      }
+    } catch (error) {
+      errors.push(`Invalid formula for derived metric ${name}: ${error.message}`);
+    }
+    defined.push(name);
+  });
+
+  return errors;
+}
+
+/**
+ * Derived metrics a source can compute: those whose base metrics are all
+ * among the source's metrics
+ */
+export function getAvailableDerivedMetrics(cfg, metrics) {
+  const derived = getDerivedMetrics(cfg);
+  const available = [];
+  derived.forEach(metric => {
+    if (metric.fields.every(field => metrics.includes(field) || available.some(other => other.name === field))) {
+      available.push(metric);
+    }
+  });
+  return available;
+}
+
+/**
+ * Split the metrics of a query into the base metrics to fetch (requested
+ * ones first, then the ones derived metrics need) and the derived metrics to
+ * compute, in the order they have to be computed
+ */
+export function resolveMetrics(requested, cfg) {
+  const derived = getDerivedMetrics(cfg);
+  const byName = new Map(derived.map(metric => [metric.name, metric]));
+  const metrics = [];
+  const needed = new Set();
+
+  const visit = (name) => {
+    const metric = byName.get(name);
+    if (!metric) {
+      if (!metrics.includes(name)) {
+        metrics.push(name);
+      }
+      return;
+    }
+    needed.add(name);
+    metric.fields.forEach(visit);
+  };
+  requested.filter(name => !byName.has(name)).forEach(visit);
+  requested.filter(name => byName.has(name)).forEach(visit);
+
+  return {
+    metrics,
+    derivedMetrics: derived
+      .filter(metric => needed.has(metric.name))
+      .map(({ name, formula }) => ({ name, formula })),
+  };
+}
+
+/**
+ * Whether any of the derived metrics ({name, formula}) uses total(), whose
+ * value depends on which rows are fetched
+ */
+export function usesTotals(derivedMetrics = []) {
+  return derivedMetrics.some(({ formula }) => getFunctionNames(parseExpression(formula)).has("total"));
+}
+
+/**
+ * Add derived metrics ({name, formula}, see resolveMetrics) to rows.
+ * total() in formulas sums over all the given rows.
+ */
+export function applyDerivedMetrics(rows, derivedMetrics = []) {
+  derivedMetrics.forEach(({ name, formula }) => {
+    const tree = parseExpression(formula);
+    const ctx = { rows, totals: new Map() };
+    const values = rows.map(row => evaluate(tree, row, ctx));
+    rows.forEach((row, index) => {
+      row[name] = values[index];
+    });
+  });
+  return rows;
+}
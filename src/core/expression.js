@@ -0,0 +1,268 @@
+/**
+ * Formulas of derived metrics: a small expression language parsed and
+ * evaluated here, never passed to eval(). It has numbers, "strings", row
+ * fields by name, + - * / %, comparisons (< <= > >= == !=), parentheses and
+ * the functions in FUNCTIONS. Missing values and division by zero give null,
+ * and null spreads through arithmetic.
+ */
+
+const FUNCTIONS = {
+  abs: { args: [1, 1], fn: Math.abs },
+  floor: { args: [1, 1], fn: Math.floor },
+  ceil: { args: [1, 1], fn: Math.ceil },
+  sqrt: { args: [1, 1], fn: Math.sqrt },
+  log: { args: [1, 1], fn: Math.log },
+  pow: { args: [2, 2], fn: Math.pow },
+  round: { args: [1, 2], fn: (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits },
+  min: { args: [1, Infinity], fn: Math.min },
+  max: { args: [1, Infinity], fn: Math.max },
+  // Evaluated lazily, see evaluate()
+  if: { args: [3, 3] },
+  total: { args: [1, 1] },
+};
+
+const COMPARISONS = ["<=", ">=", "==", "!=", "<", ">"];
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|"([^"]*)"|'([^']*)'|(<=|>=|==|!=|[-+*/%<>(),]))/iy;
+
+/**
+ * Parse a formula into a syntax tree. Throws on syntax errors and unknown
+ * functions.
+ */
+export function parseExpression(source) {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (value) => {
+    const token = next();
+    if (token?.value !== value) {
+      throw new Error(`Expected "${value}" ${token ? `but found "${token.value}"` : "at the end"}`);
+    }
+  };
+
+  const parseComparison = () => {
+    const left = parseAdditive();
+    if (peek()?.type === "op" && COMPARISONS.includes(peek().value)) {
+      const op = next().value;
+      return { type: "binary", op, left, right: parseAdditive() };
+    }
+    return left;
+  };
+
+  const parseAdditive = () => {
+    let node = parseMultiplicative();
+    while (peek()?.type === "op" && ["+", "-"].includes(peek().value)) {
+      const op = next().value;
+      node = { type: "binary", op, left: node, right: parseMultiplicative() };
+    }
+    return node;
+  };
+
+  const parseMultiplicative = () => {
+    let node = parseUnary();
+    while (peek()?.type === "op" && ["*", "/", "%"].includes(peek().value)) {
+      const op = next().value;
+      node = { type: "binary", op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (peek()?.type === "op" && peek().value === "-") {
+      next();
+      return { type: "negate", operand: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) {
+      throw new Error("Unexpected end of formula");
+    }
+    if (token.type === "number" || token.type === "string") {
+      return { type: "literal", value: token.value };
+    }
+    if (token.type === "name") {
+      if (peek()?.value !== "(") {
+        return { type: "field", name: token.value };
+      }
+      return parseCall(token.value);
+    }
+    if (token.value === "(") {
+      const node = parseComparison();
+      expect(")");
+      return node;
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const parseCall = (name) => {
+    const definition = FUNCTIONS[name];
+    if (!definition) {
+      throw new Error(`Unknown function ${name}() (use ${Object.keys(FUNCTIONS).join(", ")})`);
+    }
+
+    expect("(");
+    const args = [];
+    if (peek()?.value !== ")") {
+      args.push(parseComparison());
+      while (peek()?.value === ",") {
+        next();
+        args.push(parseComparison());
+      }
+    }
+    expect(")");
+
+    const [minArgs, maxArgs] = definition.args;
+    if (args.length < minArgs || args.length > maxArgs) {
+      throw new Error(`${name}() takes ${minArgs === maxArgs ? minArgs : `${minArgs} or more`} argument(s)`);
+    }
+    return { type: "call", name, args };
+  };
+
+  const tree = parseComparison();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek().value}"`);
+  }
+  return tree;
+}
+
+/**
+ * Row fields a parsed formula refers to
+ */
+export function getFieldNames(node, names = new Set()) {
+  if (node.type === "field") {
+    names.add(node.name);
+  }
+  [node.left, node.right, node.operand, ...(node.args || [])]
+    .filter(Boolean)
+    .forEach(child => getFieldNames(child, names));
+  return names;
+}
+
+/**
+ * Functions a parsed formula calls
+ */
+export function getFunctionNames(node, names = new Set()) {
+  if (node.type === "call") {
+    names.add(node.name);
+  }
+  [node.left, node.right, node.operand, ...(node.args || [])]
+    .filter(Boolean)
+    .forEach(child => getFunctionNames(child, names));
+  return names;
+}
+
+/**
+ * Evaluate a parsed formula for one row. total(x) sums x over all rows of
+ * the result, which the caller passes as rows; sums are kept in totals so
+ * they are computed once per result.
+ */
+export function evaluate(node, row, { rows = [row], totals = new Map() } = {}) {
+  const ctx = { rows, totals };
+
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "field":
+      return row[node.name] ?? null;
+    case "negate": {
+      const value = evaluate(node.operand, row, ctx);
+      return typeof value === "number" ? -value : null;
+    }
+    case "binary":
+      return evaluateBinary(node.op, evaluate(node.left, row, ctx), evaluate(node.right, row, ctx));
+    case "call":
+      return evaluateCall(node, row, ctx);
+    default:
+      throw new Error(`Unknown expression node: ${node.type}`);
+  }
+}
+
+function evaluateBinary(op, left, right) {
+  if (left === null || right === null) {
+    return null;
+  }
+
+  if (COMPARISONS.includes(op)) {
+    switch (op) {
+      case "<": return left < right;
+      case "<=": return left <= right;
+      case ">": return left > right;
+      case ">=": return left >= right;
+      case "==": return left === right;
+      default: return left !== right;
+    }
+  }
+
+  if (typeof left !== "number" || typeof right !== "number") {
+    return null;
+  }
+  switch (op) {
+    case "+": return left + right;
+    case "-": return left - right;
+    case "*": return left * right;
+    case "/": return right === 0 ? null : left / right;
+    default: return right === 0 ? null : left % right;
+  }
+}
+
+function evaluateCall(node, row, ctx) {
+  if (node.name === "if") {
+    const condition = evaluate(node.args[0], row, ctx);
+    if (condition === null) {
+      return null;
+    }
+    return evaluate(condition ? node.args[1] : node.args[2], row, ctx);
+  }
+
+  if (node.name === "total") {
+    if (!ctx.totals.has(node)) {
+      const sum = ctx.rows.reduce((total, other) => {
+        const value = evaluate(node.args[0], other, ctx);
+        return typeof value === "number" ? total + value : total;
+      }, 0);
+      ctx.totals.set(node, sum);
+    }
+    return ctx.totals.get(node);
+  }
+
+  const args = node.args.map(arg => evaluate(arg, row, ctx));
+  if (args.some(arg => typeof arg !== "number")) {
+    return null;
+  }
+  const result = FUNCTIONS[node.name].fn(...args);
+  return Number.isFinite(result) ? result : null;
+}
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+
+  while (TOKEN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN.lastIndex))) {
+      break;
+    }
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected character "${source.slice(start).trim()[0]}"`);
+    }
+
+    const [, number, name, doubleQuoted, singleQuoted, op] = match;
+    if (number !== undefined) {
+      tokens.push({ type: "number", value: Number(number) });
+    } else if (name !== undefined) {
+      tokens.push({ type: "name", value: name });
+    } else if (doubleQuoted !== undefined || singleQuoted !== undefined) {
+      tokens.push({ type: "string", value: doubleQuoted ?? singleQuoted });
+    } else {
+      tokens.push({ type: "op", value: op });
+    }
+  }
+
+  return tokens;
+}
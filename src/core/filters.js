@@ -0,0 +1,111 @@
+/**
+ * Helpers shared by the data sources for working with query filters
+ */
+
+/**
+ * A filter group is {groupType, filters}; anything else is a single Filter.
+ */
+export function isFilterGroup(filter) {
+  return Boolean(filter) && Array.isArray(filter.filters);
+}
+
+/**
+ * Escape a literal string for use inside a regular expression
+ */
+export function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * All single filters of a query, with filter groups expanded
+ */
+export function flattenFilters(filters = []) {
+  return filters.flatMap(filter => isFilterGroup(filter) ? filter.filters : [filter]);
+}
+
+/**
+ * Top-level metric filters of a query (metric filters cannot be grouped)
+ */
+export function getMetricFilters(filters = []) {
+  return filters.filter(filter => !isFilterGroup(filter) && filter.type === "metric");
+}
+
+/**
+ * Whether a row passes a metric filter. Rows missing the metric never match.
+ */
+export function matchesMetricFilter(row, filter) {
+  const value = row[filter.field];
+  if (typeof value !== "number") {
+    return false;
+  }
+
+  switch (filter.op) {
+    case "gt":
+      return value > Number(filter.value);
+    case "gte":
+      return value >= Number(filter.value);
+    case "lt":
+      return value < Number(filter.value);
+    case "lte":
+      return value <= Number(filter.value);
+    case "between":
+      return value >= Number(filter.value[0]) && value <= Number(filter.value[1]);
+    default:
+      throw new Error(`Unsupported metric filter operator: ${filter.op}`);
+  }
+}
+
+/**
+ * Keep the rows that pass every metric filter
+ */
+export function applyMetricFilters(rows, filters) {
+  return rows.filter(row => filters.every(filter => matchesMetricFilter(row, filter)));
+}
+
+/**
+ * Whether a row passes a dimension filter, with the same semantics as the GSC
+ * API: eq/neq are exact, contains/notContains ignore case, regexes are tested
+ * with JavaScript's RegExp (close to GSC's RE2 for common patterns).
+ */
+export function matchesDimensionFilter(row, filter) {
+  const value = String(row[filter.field] ?? "");
+  const expected = String(filter.value);
+
+  switch (filter.op) {
+    case "eq":
+      return value === expected;
+    case "neq":
+      return value !== expected;
+    case "contains":
+      return value.toLowerCase().includes(expected.toLowerCase());
+    case "notContains":
+      return !value.toLowerCase().includes(expected.toLowerCase());
+    case "regex":
+    case "includingRegex":
+      return new RegExp(expected).test(value);
+    case "excludingRegex":
+      return !new RegExp(expected).test(value);
+    default:
+      throw new Error(`Unsupported dimension filter operator: ${filter.op}`);
+  }
+}
+
+/**
+ * Keep the rows that pass every top-level dimension filter and filter group.
+ * Metric filters are skipped; runQuery applies those.
+ */
+export function applyDimensionFilters(rows, filters = []) {
+  const checks = filters
+    .filter(filter => isFilterGroup(filter) || filter.type === "dimension")
+    .map(filter => {
+      if (!isFilterGroup(filter)) {
+        return row => matchesDimensionFilter(row, filter);
+      }
+      const matches = row => f => matchesDimensionFilter(row, f);
+      return filter.groupType === "or"
+        ? row => filter.filters.some(matches(row))
+        : row => filter.filters.every(matches(row));
+    });
+
+  return rows.filter(row => checks.every(check => check(row)));
+}
@@ -0,0 +1,26 @@
+import { createHash } from "node:crypto";
+import { addDays, formatDate } from "../utils/date-range.js";
+
+// GSC keeps revising the last few days, so ranges touching them are "recent"
+const RECENT_DAYS = 3;
+
+/**
+ * Key of a query in the result cache: a sha256 hash of the user, the source's
+ * cache scope (site, BigQuery dataset, content group rules... see cacheScope
+ * in datasources/index.js) and the normalized query
+ */
+export function getCacheKey(normalized, { userId, scope }) {
+  return createHash("sha256")
+    .update(JSON.stringify({ userId: userId ?? null, scope: scope ?? null, query: normalized }))
+    .digest("hex");
+}
+
+/**
+ * How long results may be cached: cfg.cache.recentTtlMs when the range
+ * touches the last 3 days or includes fresh data, cfg.cache.historicTtlMs
+ * for final historic data
+ */
+export function getCacheTtl(normalized, cacheConfig, today = formatDate(new Date())) {
+  const recent = normalized.dataState === "all" || normalized.dateRange.end >= addDays(today, -RECENT_DAYS);
+  return recent ? cacheConfig.recentTtlMs : cacheConfig.historicTtlMs;
+}
@@ -1,35 +1,216 @@
-import runBQ from "../datasources/bigquery.js";
-import runGSC from "../datasources/searchconsole.js";
+import { getDatasource, getCapabilities } from "../datasources/index.js";
 import { validateQuery } from "../cli/validators.js";
+import { getMetricFilters, applyMetricFilters } from "./filters.js";
+import { QueryTimeoutError } from "../utils/errors.js";
+import { getComparisonRange, compareRows } from "./compare.js";
+import { getCacheKey, getCacheTtl } from "./query-cache.js";
+import { getCachedQuery, storeCachedQuery } from "../utils/database.js";
+import { resolveMetrics, applyDerivedMetrics, usesTotals } from "./derived-metrics.js";
 
 /**
  * @typedef NormalizedQuery
- * @property {string} source - "searchconsole" | "bigquery"
+ * @property {string} source - Id of a registered data source ("searchconsole", "bigquery", ...)
  * @property {Object} dateRange - {start: string, end: string}
  * @property {string[]} metrics - Array of metric names
  * @property {string[]} dimensions - Array of dimension names
  * @property {Array} orderBys - Array of {metric?: string, dimension?: string, desc?: boolean}
  * @property {number} limit - Maximum number of rows
- * @property {Array} filters - Array of filter objects
+ * @property {Array} filters - Filters and filter groups (see Filter/FilterGroup in schema.js)
+ * @property {string} [chunkBy] - "day" | "week" to fetch the date range in windows and merge them
+ * @property {string} searchType - "web" | "image" | "video" | "news" | "discover" | "googleNews"
+ * @property {string} dataState - "final" | "all" ("all" includes fresh, preliminary data)
+ * @property {string} aggregationType - "auto" | "byPage" | "byProperty"
+ * @property {string} [file] - File to read for the "file" source (in cfg.sources.file.dirs)
+ * @property {string} [table] - Table to query instead of the source's default (BigQuery: a key of
+ *   cfg.sources.bigquery.tables or a table name in the dataset)
+ * @property {string} [sql] - SQL template of a SQL preset (see src/core/sql-template.js)
+ * @property {Object[]} [sqlParams] - Parameters the SQL preset declares
+ * @property {Object} [variables] - Values for those parameters, by name
+ * @property {string} [siteUrl] - Site bound to @site_url in SQL presets
+ * @property {string} [compareTo] - "previous" | "yoy" to compare with another period (see compare.js)
+ * @property {Object[]} [derivedMetrics] - {name, formula} of the derived metrics to compute, in order
+ *   (see derived-metrics.js); metrics then holds the base metrics they need
  */
 
-export async function runQuery(answers, cfg, auth = null) {
+/**
+ * Run a query from CLI answers or API parameters.
+ * Pass a ctx object to receive result metadata (e.g. data freshness) on ctx.metadata,
+ * and ctx.signal (an AbortSignal) to be able to cancel the query.
+ * Queries running longer than cfg.limits.maxRuntimeMs fail with a QueryTimeoutError.
+ * With answers.compareTo the query also runs for the comparison period and
+ * returns the joined rows (see compareRows).
+ * Results are cached in SQLite when cfg.cache.enabled is set; ctx.noCache skips
+ * the lookup (and refreshes the entry), ctx.userId keeps users apart (default
+ * cfg.userId). ctx.metadata.cache reports the status: "hit", "miss" or "bypass".
+ */
+export async function runQuery(answers, cfg, auth = null, ctx = {}) {
   const normalized = normalize(answers, cfg);
+  const datasource = getDatasource(normalized.source);
+  if (datasource.capabilities.maxRows) {
+    normalized.limit = Math.min(normalized.limit, datasource.capabilities.maxRows);
+  }
   
-  // Validate the normalized query
-  const errors = validateQuery(normalized);
+  // Validate the normalized query, against the columns of query.table if set
+  const capabilities = await getCapabilities(datasource, normalized, { cfg });
+  const errors = validateQuery(normalized, { ...datasource, capabilities });
   if (errors.length > 0) {
     throw new Error(`Query validation failed: ${errors.join(", ")}`);
   }
 
-  // Route to appropriate data source
-  if (normalized.source === "searchconsole") {
-    return runGSC(normalized, cfg, auth);
-  } else if (normalized.source === "bigquery") {
-    return runBQ(normalized, cfg);
+  // Sources share the caller's metadata object but get the combined signal
+  ctx.metadata = ctx.metadata || {};
+
+  const cacheKey = cfg.cache?.enabled && datasource.cacheable !== false
+    ? getCacheKey(normalized, { userId: ctx.userId ?? cfg.userId, scope: datasource.cacheScope?.(normalized, cfg) })
+    : null;
+  if (cacheKey && !ctx.noCache) {
+    const cached = getCachedQuery(cacheKey);
+    if (cached) {
+      Object.assign(ctx.metadata, cached.metadata, {
+        cache: { status: "hit", storedAt: new Date(cached.storedAt).toISOString(), expiresAt: new Date(cached.expiresAt).toISOString() },
+      });
+      return cached.rows;
+    }
+  }
+
+  const rows = await withTimeout(cfg.limits?.maxRuntimeMs, ctx.signal, (signal) => normalized.compareTo
+    ? fetchComparison(normalized, datasource, { ...ctx, cfg, auth, signal })
+    : fetchRows(normalized, datasource, { ...ctx, cfg, auth, signal })
+  );
+
+  if (cacheKey) {
+    const ttlMs = getCacheTtl(normalized, cfg.cache);
+    storeCachedQuery(cacheKey, rows, ctx.metadata, ttlMs);
+    ctx.metadata.cache = { status: ctx.noCache ? "bypass" : "miss", expiresAt: new Date(Date.now() + ttlMs).toISOString() };
+  }
+  return rows;
+}
+
+// The periods run one after the other under the same timeout. The date range
+// and metadata of the comparison period are reported on ctx.metadata.comparison.
+// A row just outside the limit, or failing a metric filter, in one period would
+// look new or lost, so both are fetched up to the safety limit without metric
+// filters; the filters (on current values) and the limit apply to the joined rows.
+async function fetchComparison(normalized, datasource, ctx) {
+  const dateRange = getComparisonRange(normalized.dateRange, normalized.compareTo);
+  const metricFilters = getMetricFilters(normalized.filters);
+  const { query, extraMetrics } = withoutMetricFilters(normalized, metricFilters, ctx.cfg.limits.maxRows);
+  const currentRows = await fetchRows(query, datasource, ctx);
+
+  const metadata = {};
+  const previousRows = await fetchRows({ ...query, dateRange }, datasource, { ...ctx, metadata });
+  ctx.metadata.dateRange = normalized.dateRange;
+  ctx.metadata.comparison = { compareTo: normalized.compareTo, dateRange, ...metadata };
+
+  const extraColumns = extraMetrics.flatMap(metric => [metric, `${metric}_prev`, `${metric}_delta`, `${metric}_delta_pct`]);
+  return dropColumns(
+    applyMetricFilters(sortRows(compareRows(currentRows, previousRows, query), normalized.orderBys), metricFilters)
+      .slice(0, normalized.limit),
+    extraColumns
+  );
+}
+
+/**
+ * Run fn with a signal that aborts after maxRuntimeMs or when parentSignal
+ * aborts, whichever comes first. Sources stop their own requests on abort;
+ * the race makes sure we give up right away even if one is slow to notice.
+ */
+async function withTimeout(maxRuntimeMs, parentSignal, fn) {
+  const controller = new AbortController();
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener("abort", () => reject(controller.signal.reason), { once: true });
+  });
+
+  const timer = maxRuntimeMs
+    ? setTimeout(() => controller.abort(new QueryTimeoutError(maxRuntimeMs)), maxRuntimeMs)
+    : null;
+  const onParentAbort = () => controller.abort(parentSignal.reason);
+  if (parentSignal?.aborted) {
+    onParentAbort();
   } else {
-    throw new Error(`Unsupported source: ${normalized.source}`);
+    parentSignal?.addEventListener("abort", onParentAbort, { once: true });
+  }
+
+  try {
+    return await Promise.race([fn(controller.signal), aborted]);
+  } finally {
+    clearTimeout(timer);
+    parentSignal?.removeEventListener("abort", onParentAbort);
+  }
+}
+
+async function fetchRows(normalized, datasource, ctx) {
+  const metricFilters = getMetricFilters(normalized.filters);
+  const derived = (normalized.derivedMetrics || []).map(metric => metric.name);
+  const sourceOrderBys = normalized.orderBys.filter(orderBy => !derived.includes(orderBy.metric));
+  if (metricFilters.length === 0 && sourceOrderBys.length === normalized.orderBys.length && !usesTotals(normalized.derivedMetrics)) {
+    const rows = applyDerivedMetrics(await datasource.run(normalized, ctx), normalized.derivedMetrics);
+    return sortRows(rows, normalized.orderBys);
   }
+
+  // Sources can't filter on metrics or order by derived metrics, so then fetch
+  // as many rows as the safety limit allows, filter and sort them here, and
+  // only then apply the requested limit. Formulas with total() get the same
+  // rows: it always sums over them, before metric filters and the limit.
+  const { query, extraMetrics } = withoutMetricFilters({ ...normalized, orderBys: sourceOrderBys }, metricFilters, ctx.cfg.limits.maxRows);
+  const rows = applyDerivedMetrics(await datasource.run(query, ctx), normalized.derivedMetrics);
+
+  return dropColumns(
+    applyMetricFilters(sortRows(rows, normalized.orderBys), metricFilters).slice(0, normalized.limit),
+    extraMetrics
+  );
+}
+
+// The query without its metric filters, fetching up to limit rows and any
+// filtered metric that was not selected (extraMetrics)
+function withoutMetricFilters(normalized, metricFilters, limit) {
+  const extraMetrics = metricFilters
+    .map(f => f.field)
+    .filter((field, index, fields) => !normalized.metrics.includes(field) && fields.indexOf(field) === index);
+
+  return {
+    query: {
+      ...normalized,
+      metrics: [...normalized.metrics, ...extraMetrics],
+      filters: normalized.filters.filter(f => !metricFilters.includes(f)),
+      limit,
+    },
+    extraMetrics,
+  };
+}
+
+function dropColumns(rows, columns) {
+  if (columns.length === 0) {
+    return rows;
+  }
+  return rows.map(row => {
+    const result = { ...row };
+    columns.forEach(column => delete result[column]);
+    return result;
+  });
+}
+
+// Sort by orderBys in order, numbers numerically and anything else as text
+function sortRows(rows, orderBys = []) {
+  if (orderBys.length === 0) {
+    return rows;
+  }
+
+  return rows.sort((a, b) => {
+    for (const orderBy of orderBys) {
+      const fieldName = orderBy.metric || orderBy.dimension;
+      const aVal = a[fieldName] ?? 0;
+      const bVal = b[fieldName] ?? 0;
+
+      if (aVal !== bVal) {
+        const diff = typeof aVal === "number" && typeof bVal === "number"
+          ? aVal - bVal
+          : String(aVal).localeCompare(String(bVal));
+        return orderBy.desc ? -diff : diff;
+      }
+    }
+    return 0;
+  });
 }
 
 function normalize(answers, cfg) {
@@ -46,11 +227,24 @@ function normalize(answers, cfg) {
     return {
       source,
       dateRange: getDateRange(answers),
-      metrics: preset.metrics,
-      dimensions: preset.dimensions,
+      ...getMetrics(preset.metrics || [], cfg),
+      dimensions: preset.dimensions || [],
       orderBys: preset.orderBys || [],
       limit: Math.min(answers.limit || preset.limit || 1000, cfg.limits.maxRows),
       filters: preset.filters || [],
+      chunkBy: getChunkBy(answers),
+      searchType: answers.searchType || preset.searchType || "web",
+      dataState: getDataState(answers),
+      aggregationType: answers.aggregationType || preset.aggregationType || "auto",
+      file: answers.file || preset.file,
+      table: answers.table || preset.table,
+      compareTo: answers.compareTo,
+      ...(preset.sql && {
+        sql: preset.sql,
+        sqlParams: preset.params || [],
+        variables: answers.variables || {},
+        siteUrl: answers.siteUrl || cfg.sources.searchconsole?.siteUrl || process.env.GSC_SITE_URL,
+      }),
     };
   }
 
@@ -58,14 +252,37 @@ function normalize(answers, cfg) {
   return {
     source,
     dateRange: getDateRange(answers),
-    metrics: answers.metrics || [],
+    ...getMetrics(answers.metrics || [], cfg),
     dimensions: answers.dimensions || [],
     orderBys: answers.orderBys || [],
     limit: Math.min(answers.limit || 1000, cfg.limits.maxRows),
     filters: answers.filters || [],
+    chunkBy: getChunkBy(answers),
+    searchType: answers.searchType || "web",
+    dataState: getDataState(answers),
+    aggregationType: answers.aggregationType || "auto",
+    file: answers.file,
+    table: answers.table,
+    compareTo: answers.compareTo,
   };
 }
 
+// Derived metrics are computed here, the source fetches the base metrics they need
+function getMetrics(requested, cfg) {
+  const { metrics, derivedMetrics } = resolveMetrics(requested, cfg);
+  return { metrics, ...(derivedMetrics.length > 0 && { derivedMetrics }) };
+}
+
+function getDataState(answers) {
+  // "all" adds the last few days of fresh data that is not final yet
+  return answers.freshData ? "all" : "final";
+}
+
+function getChunkBy(answers) {
+  // "none" is the prompt's value for a single request over the whole range
+  return answers.chunkBy && answers.chunkBy !== "none" ? answers.chunkBy : undefined;
+}
+
 function getDateRange(answers) {
   const today = new Date();
   const formatDate = (date) => date.toISOString().split('T')[0];
@@ -89,6 +306,10 @@ function getDateRange(answers) {
     case "custom":
       return { start: answers.customStartDate, end: answers.customEndDate };
     
+    case "all":
+      // Everything in the data, e.g. a whole exported file
+      return { start: "1970-01-01", end: formatDate(today) };
+    
     default:
       throw new Error(`Unknown date range type: ${answers.dateRangeType}`);
   }
@@ -19,8 +19,24 @@
  * @typedef {Object} Filter
  * @property {string} type - "metric" | "dimension"
  * @property {string} field - Field name
- * @property {string} op - Operator: "eq" | "neq" | "gt" | "lt" | "regex" | "contains"
- * @property {string|number} value - Filter value
+ * @property {string} op - Dimension operators: "eq" | "neq" | "contains" | "notContains" |
+ *   "includingRegex" | "excludingRegex" ("regex" is an alias of "includingRegex"), and on
+ *   BigQuery also "gt" | "lt" | "in" | "notIn" | "between";
+ *   metric operators: "gt" | "gte" | "lt" | "lte" | "between"
+ * @property {string|number|Array<string|number>} value - Filter value (regular expressions
+ *   use RE2 syntax; "in"/"notIn" take a list, "between" an inclusive [min, max] pair)
+ *
+ * Metric filters are applied by runQuery after the rows are fetched and before
+ * the limit, since neither GSC nor the BigQuery export can filter aggregated metrics.
+ */
+
+/**
+ * @typedef {Object} FilterGroup
+ * @property {string} groupType - "and" | "or"
+ * @property {Filter[]} filters - Dimension filters combined by groupType
+ *
+ * Groups are ANDed with each other and with top-level filters. An "or" group may
+ * only hold eq/contains/includingRegex filters on a single dimension.
  */
 
 /**
@@ -31,7 +47,11 @@
  * @property {string[]} dimensions - Array of dimension names
  * @property {OrderBy[]} [orderBys] - Array of ordering specifications
  * @property {number} [limit] - Maximum number of rows to return
- * @property {Filter[]} [filters] - Array of filter specifications
+ * @property {Array<Filter|FilterGroup>} [filters] - Filters and filter groups
+ * @property {string} [chunkBy] - "day" | "week" to fetch the date range in windows and merge them
+ * @property {string} [searchType] - GSC search type (see GSC_SEARCH_TYPES), default "web"
+ * @property {string} [dataState] - "final" (default) | "all" to include preliminary data
+ * @property {string} [aggregationType] - "auto" (default) | "byPage" | "byProperty"
  */
 
 /**
@@ -41,6 +61,14 @@
  * @property {Object} metadata - Additional metadata about the query
  */
 
+/**
+ * @typedef {Object} QueryMetadata
+ * @property {string} [dataState] - "final" | "all" as sent to the API
+ * @property {string|null} [firstIncompleteDate] - First day of preliminary data (dataState "all" only)
+ * @property {boolean} [includesPreliminaryData] - Whether the date range reaches preliminary data
+ * @property {string} [aggregationType] - How GSC counted clicks/impressions ("byPage" | "byProperty")
+ */
+
 // Common GSC metrics
 export const GSC_METRICS = {
   clicks: "clicks",
@@ -59,6 +87,64 @@ export const GSC_DIMENSIONS = {
   date: "date",
 };
 
+// Virtual dimension: the section of a page by the rules in
+// sources.searchconsole.contentGroups (see content-groups.js)
+export const CONTENT_GROUP_DIMENSION = "contentGroup";
+
+// GSC search types (the API's searchType parameter)
+export const GSC_SEARCH_TYPES = {
+  web: "web",
+  image: "image",
+  video: "video",
+  news: "news",
+  discover: "discover",
+  googleNews: "googleNews",
+};
+
+// Dimensions the API cannot group or filter by for a given search type
+export const GSC_UNSUPPORTED_DIMENSIONS = {
+  discover: ["query"],
+  googleNews: ["query"],
+};
+
+// Dimension filter operators mapped to GSC API operators
+export const GSC_FILTER_OPERATORS = {
+  eq: "equals",
+  neq: "notEquals",
+  contains: "contains",
+  notContains: "notContains",
+  includingRegex: "includingRegex",
+  excludingRegex: "excludingRegex",
+  regex: "includingRegex",
+};
+
+// Operators allowed in an "or" filter group
+export const OR_GROUP_OPERATORS = ["eq", "contains", "includingRegex", "regex"];
+
+// Metric filter operators
+export const METRIC_FILTER_OPERATORS = ["gt", "gte", "lt", "lte", "between"];
+
+// How GSC aggregates clicks and impressions. byProperty counts a result once
+// per property rather than once per page, so it cannot be used with page data.
+export const GSC_AGGREGATION_TYPES = {
+  auto: "auto",
+  byPage: "byPage",
+  byProperty: "byProperty",
+};
+
+// Window sizes for chunked GSC fetching
+export const GSC_CHUNK_SIZES = {
+  day: "day",
+  week: "week",
+};
+
+// Periods a comparison query can compare with: the same number of days
+// right before the date range, or the same dates a year earlier
+export const COMPARE_MODES = {
+  previous: "previous",
+  yoy: "yoy",
+};
+
 // Common BigQuery fields (for GSC data)
 export const BQ_FIELDS = {
   date: "date",
@@ -72,3 +158,23 @@ export const BQ_FIELDS = {
   ctr: "ctr",
   position: "position",
 };
+
+// GSC field names mapped to the columns of the Search Console bulk export
+// tables (searchdata_site_impression / searchdata_url_impression)
+export const BQ_BULK_EXPORT_COLUMNS = {
+  date: "data_date",
+  query: "query",
+  page: "url",
+  country: "country",
+  device: "device",
+};
+
+// GSC searchType values mapped to the bulk export's search_type column
+export const BQ_BULK_EXPORT_SEARCH_TYPES = {
+  web: "WEB",
+  image: "IMAGE",
+  video: "VIDEO",
+  news: "NEWS",
+  discover: "DISCOVER",
+  googleNews: "GOOGLE_NEWS",
+};
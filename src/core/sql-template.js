@@ -0,0 +1,166 @@
+/**
+ * SQL presets: presets with a `sql` template instead of metrics and
+ * dimensions, for reports like window functions, joins or cohorts.
+ *
+ * Templates use named query parameters, which are always bound by BigQuery and
+ * never spliced into the SQL:
+ * - @start_date, @end_date (DATE) from the date range, @limit (INT64), and
+ *   @site_url (STRING) from the selected site
+ * - variables declared in the preset's `params`:
+ *   { name, label?, type: "STRING" | "INT64" | "FLOAT64" | "BOOL" | "DATE", default?, choices? }
+ * {{project}} and {{dataset}} are replaced with the configured BigQuery
+ * project and dataset, so templates can name tables (`{{project}}.{{dataset}}.pages`).
+ */
+
+export const SQL_TEMPLATE_BUILTINS = {
+  start_date: "DATE",
+  end_date: "DATE",
+  limit: "INT64",
+  site_url: "STRING",
+};
+
+export const SQL_TEMPLATE_TYPES = ["STRING", "INT64", "FLOAT64", "BOOL", "DATE"];
+
+const PARAM_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Names of the @parameters a template refers to, ignoring string literals,
+ * quoted identifiers and comments
+ */
+export function getTemplateParameters(sql) {
+  const code = sql
+    .replace(/--[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\//g, " ")
+    .replace(/'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"|`[^`]*`/g, " ");
+  const names = [...code.matchAll(/@([A-Za-z_][A-Za-z0-9_]*)/g)].map(match => match[1]);
+  return [...new Set(names)];
+}
+
+/**
+ * Check a normalized SQL preset query: the template, its declared params and
+ * the variables the user supplied. Returns error messages.
+ */
+export function validateSQLTemplate(query) {
+  const errors = [];
+  const declared = query.sqlParams || [];
+  const variables = query.variables || {};
+
+  if (!/^\s*(SELECT|WITH)\b/i.test(query.sql)) {
+    errors.push("SQL presets must be a single SELECT (or WITH ... SELECT) statement");
+  }
+  if (/;\s*\S/.test(query.sql)) {
+    errors.push("SQL presets must not contain more than one statement");
+  }
+
+  declared.forEach(param => {
+    if (!param.name || !PARAM_NAME.test(param.name)) {
+      errors.push(`Invalid SQL parameter name: ${param.name}`);
+    } else if (SQL_TEMPLATE_BUILTINS[param.name]) {
+      errors.push(`SQL parameter @${param.name} is set by the query and cannot be declared`);
+    }
+    if (!SQL_TEMPLATE_TYPES.includes(param.type || "STRING")) {
+      errors.push(`Unsupported type ${param.type} for SQL parameter @${param.name} (use ${SQL_TEMPLATE_TYPES.join(", ")})`);
+    }
+  });
+
+  const declaredNames = declared.map(param => param.name);
+  const undeclared = getTemplateParameters(query.sql)
+    .filter(name => !SQL_TEMPLATE_BUILTINS[name] && !declaredNames.includes(name));
+  if (undeclared.length > 0) {
+    errors.push(`SQL template uses undeclared parameter(s): ${undeclared.map(name => `@${name}`).join(", ")}`);
+  }
+
+  const unknown = Object.keys(variables).filter(name => !declaredNames.includes(name));
+  if (unknown.length > 0) {
+    errors.push(`Unknown SQL parameter(s): ${unknown.join(", ")} (this preset takes ${declaredNames.join(", ") || "none"})`);
+  }
+
+  declared.forEach(param => {
+    const value = variables[param.name] ?? param.default;
+    if (value === undefined || value === null || value === "") {
+      errors.push(`SQL parameter ${param.name} requires a value`);
+      return;
+    }
+    const error = checkSQLParamValue(param, value);
+    if (error) {
+      errors.push(error);
+    }
+  });
+
+  if (getTemplateParameters(query.sql).includes("site_url") && !query.siteUrl) {
+    errors.push("This SQL preset needs a site (@site_url); select one or pass siteUrl");
+  }
+
+  return errors;
+}
+
+/**
+ * Turn a validated SQL preset query into the SQL, named params and param
+ * types for the BigQuery client. Only the parameters the template uses are sent.
+ */
+export function bindSQLTemplate(query, { projectId, dataset }) {
+  const sql = query.sql
+    .replace(/\{\{\s*project\s*\}\}/g, projectId)
+    .replace(/\{\{\s*dataset\s*\}\}/g, dataset)
+    .trim();
+
+  const builtins = {
+    start_date: query.dateRange.start,
+    end_date: query.dateRange.end,
+    limit: query.limit,
+    site_url: query.siteUrl,
+  };
+  const declared = new Map((query.sqlParams || []).map(param => [param.name, param]));
+
+  const params = {};
+  const types = {};
+  getTemplateParameters(sql).forEach(name => {
+    if (SQL_TEMPLATE_BUILTINS[name]) {
+      params[name] = builtins[name];
+      types[name] = SQL_TEMPLATE_BUILTINS[name];
+    } else {
+      const param = declared.get(name);
+      types[name] = param.type || "STRING";
+      params[name] = toValue(types[name], query.variables?.[name] ?? param.default);
+    }
+  });
+
+  return { sql, params, types };
+}
+
+/**
+ * Check one value for a declared parameter, null when it is valid
+ */
+export function checkSQLParamValue(param, value) {
+  const type = param.type || "STRING";
+  const text = String(value).trim();
+
+  if (param.choices && !param.choices.map(String).includes(text)) {
+    return `SQL parameter ${param.name} must be one of ${param.choices.join(", ")}`;
+  }
+
+  switch (type) {
+    case "INT64":
+      return Number.isInteger(Number(text)) && text !== "" ? null : `SQL parameter ${param.name} must be a whole number`;
+    case "FLOAT64":
+      return Number.isFinite(Number(text)) && text !== "" ? null : `SQL parameter ${param.name} must be a number`;
+    case "BOOL":
+      return ["true", "false"].includes(text.toLowerCase()) ? null : `SQL parameter ${param.name} must be true or false`;
+    case "DATE":
+      return /^\d{4}-\d{2}-\d{2}$/.test(text) ? null : `SQL parameter ${param.name} must be a date (YYYY-MM-DD)`;
+    default:
+      return null;
+  }
+}
+
+// CLI and query string values arrive as text
+function toValue(type, value) {
+  switch (type) {
+    case "INT64":
+    case "FLOAT64":
+      return Number(value);
+    case "BOOL":
+      return typeof value === "boolean" ? value : String(value).toLowerCase() === "true";
+    default:
+      return String(value);
+  }
+}
@@ -0,0 +1,68 @@
+import Database from "better-sqlite3";
+import { parentPort, workerData } from "worker_threads";
+
+/**
+ * Runs one warehouse SQL query (see warehouse-sql.js) off the main thread, so
+ * the caller can terminate it once it runs too long. The warehouse is opened
+ * read-only; the query itself runs in an in-memory database whose only tables
+ * are virtual tables over the rows of the given sites.
+ */
+
+const { sql, tables, siteUrls, maxRows, dbPath } = workerData;
+
+function runQuery() {
+  const warehouse = new Database(dbPath, { readonly: true, fileMustExist: true });
+  const sandbox = new Database(":memory:");
+
+  // SQLite drops virtual table cursors it no longer needs (e.g. after a
+  // LIMIT) without closing them, which would keep the warehouse busy
+  const openRows = new Set();
+  try {
+    tables.forEach(({ table, columns }) => {
+      const stmt = warehouse.prepare(`
+        SELECT ${columns.map(column => `"${column}"`).join(", ")} FROM "${table}"
+        WHERE site_url IN (${siteUrls.map(() => "?").join(", ")})
+      `).raw();
+
+      sandbox.table(table, {
+        columns,
+        *rows() {
+          const tableRows = stmt.iterate(...siteUrls);
+          openRows.add(tableRows);
+          yield* tableRows;
+          openRows.delete(tableRows);
+        },
+      });
+    });
+
+    let stmt;
+    try {
+      stmt = sandbox.prepare(sql);
+    } catch (error) {
+      return { error: { name: "InvalidSQLError", message: `Invalid SQL: ${error.message}` } };
+    }
+    if (!stmt.reader || !stmt.readonly) {
+      return { error: { name: "InvalidSQLError", message: "Only read-only queries can run on the warehouse" } };
+    }
+
+    const rows = [];
+    let truncated = false;
+    for (const row of stmt.iterate()) {
+      if (rows.length === maxRows) {
+        truncated = true;
+        break;
+      }
+      rows.push(row);
+    }
+
+    return { result: { columns: stmt.columns().map(column => column.name), rows, truncated } };
+  } catch (error) {
+    return { error: { name: error.name, message: error.message } };
+  } finally {
+    openRows.forEach(tableRows => tableRows.return());
+    sandbox.close();
+    warehouse.close();
+  }
+}
+
+parentPort.postMessage(runQuery());
@@ -0,0 +1,76 @@
+import { Worker } from "worker_threads";
+import { getDatabasePath } from "../utils/database.js";
+import { getWarehouseTables } from "./warehouse.js";
+import { InvalidSQLError, QueryTimeoutError } from "../utils/errors.js";
+
+/**
+ * Read-only SQL over the local warehouse. Queries run in a worker thread, in
+ * a separate in-memory SQLite database whose only tables are virtual tables
+ * streaming the rows of the given sites from a read-only connection: the
+ * gsc_daily_* tables of the dimension sets and warehouse_days. They can't
+ * change the warehouse, nor see other sites, tokens or sessions.
+ */
+
+const METRIC_COLUMNS = ["clicks", "impressions", "ctr", "position"];
+const DAYS_COLUMNS = ["site_url", "table_name", "date", "data_state", "row_count", "synced_at"];
+
+/**
+ * Tables and columns a warehouse SQL query can use
+ */
+export function getWarehouseSQLTables(cfg) {
+  return [
+    ...getWarehouseTables(cfg).map(({ table, dimensions }) => ({
+      table,
+      columns: ["site_url", "date", ...dimensions, ...METRIC_COLUMNS],
+    })),
+    { table: "warehouse_days", columns: DAYS_COLUMNS },
+  ];
+}
+
+/**
+ * Run one SELECT (or WITH ... SELECT) over the warehouse rows of siteUrls.
+ * Resolves to the result columns and at most cfg.limits.maxRows rows, with
+ * truncated set when there were more. SQLite can't be interrupted, so the
+ * query runs in a worker thread (warehouse-sql-worker.js) that is terminated
+ * with a QueryTimeoutError once it has run for cfg.limits.maxRuntimeMs (if set).
+ */
+export async function runWarehouseSQL(sql, cfg, { siteUrls, dbPath = getDatabasePath() }) {
+  if (typeof sql !== "string" || !/^\s*(SELECT|WITH)\b/i.test(stripComments(sql))) {
+    throw new InvalidSQLError("Only a single SELECT (or WITH ... SELECT) statement can run on the warehouse");
+  }
+  if (!siteUrls?.length) {
+    throw new Error("No Google Search Console sites to query. Sign in with an account that has access to a property.");
+  }
+
+  const { maxRows, maxRuntimeMs } = cfg.limits;
+  const worker = new Worker(new URL("./warehouse-sql-worker.js", import.meta.url), {
+    workerData: { sql, tables: getWarehouseSQLTables(cfg), siteUrls, maxRows, dbPath },
+  });
+
+  return new Promise((resolve, reject) => {
+    // No limits.maxRuntimeMs, no timeout
+    const timer = maxRuntimeMs
+      ? setTimeout(() => {
+        reject(new QueryTimeoutError(maxRuntimeMs, "Select fewer days or sites, or aggregate less in the query."));
+        worker.terminate();
+      }, maxRuntimeMs)
+      : null;
+
+    worker.once("message", ({ result, error }) => {
+      clearTimeout(timer);
+      if (error) {
+        reject(error.name === "InvalidSQLError" ? new InvalidSQLError(error.message) : new Error(error.message));
+      } else {
+        resolve(result);
+      }
+    });
+    worker.once("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+function stripComments(sql) {
+  return sql.replace(/--[^\n]*|\/\*[\s\S]*?\*\//g, " ");
+}
@@ -0,0 +1,215 @@
+import chalk from "chalk";
+import runGSC from "../datasources/searchconsole.js";
+import { GSC_DIMENSIONS } from "./schema.js";
+import { flattenFilters, applyDimensionFilters } from "./filters.js";
+import { addDays, formatDate, parseDate, splitDateRange } from "../utils/date-range.js";
+import { ensureWarehouseTable, getWarehouseDays, replaceWarehouseDay, getWarehouseTotals } from "../utils/database.js";
+
+/**
+ * Local GSC data warehouse: daily Search Console rows of a site kept in
+ * SQLite, one table per dimension set in cfg.warehouse.dimensionSets.
+ * Google deletes data after 16 months, synced days are kept for good.
+ */
+
+// Days without data this recent may still get some
+const RECENT_DAYS = 3;
+
+const METRICS = ["clicks", "impressions", "ctr", "position"];
+
+// e.g. gsc_daily_query_page
+export function getWarehouseTable(dimensions) {
+  return `gsc_daily_${dimensions.join("_")}`;
+}
+
+/**
+ * Tables of the configured dimension sets, created if they don't exist yet
+ */
+export function getWarehouseTables(cfg) {
+  return getDimensionSets(cfg).map(dimensions => {
+    const table = getWarehouseTable(dimensions);
+    ensureWarehouseTable(table, dimensions);
+    return { table, dimensions };
+  });
+}
+
+/**
+ * Days each table still needs, oldest first: days of the backfill window
+ * that were never synced or were preliminary when they were
+ */
+export function getSyncPlan(cfg, siteUrl, today = formatDate(new Date())) {
+  const start = subtractMonths(today, cfg.warehouse.backfillMonths ?? 16);
+  const days = splitDateRange({ start, end: today }).map(window => window.start);
+
+  return getWarehouseTables(cfg).map(({ table, dimensions }) => {
+    const finalDays = getFinalDays(siteUrl, table);
+    return { table, dimensions, dates: days.filter(date => !finalDays.has(date)) };
+  });
+}
+
+/**
+ * Fetch the missing and preliminary days of every dimension set for a site
+ * (one GSC request per day and set). Each day is stored as it arrives, so an
+ * interrupted sync picks up where it stopped. With maxRuntimeMs no new day is
+ * started once that much time has passed: the summary then has complete
+ * false and the number of remainingDays, and the next sync resumes there.
+ */
+export async function syncWarehouse(cfg, auth, { siteUrl, signal, maxRuntimeMs, today = formatDate(new Date()) } = {}) {
+  if (!cfg.warehouse?.enabled) {
+    throw new Error("The local warehouse is disabled. Set warehouse.enabled in config.js");
+  }
+  if (!siteUrl) {
+    throw new Error("Select a Google Search Console site to sync");
+  }
+
+  const deadline = maxRuntimeMs ? Date.now() + maxRuntimeMs : Infinity;
+  const plan = getSyncPlan(cfg, siteUrl, today);
+  const summary = { siteUrl, tables: [], complete: true, remainingDays: plan.reduce((total, { dates }) => total + dates.length, 0) };
+
+  for (const { table, dimensions, dates } of plan) {
+    if (Date.now() >= deadline) {
+      break;
+    }
+    console.log(chalk.blue(`Syncing ${dates.length} day(s) of ${dimensions.join(", ")} data into ${table}...`));
+    const result = { table, dimensions, days: 0, final: 0, preliminary: 0, rows: 0 };
+    summary.tables.push(result);
+
+    for (const date of dates) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      if (Date.now() >= deadline) {
+        break;
+      }
+      const { rows, dataState } = await fetchDay(cfg, auth, siteUrl, dimensions, date, today, signal);
+      replaceWarehouseDay(siteUrl, table, dimensions, date, rows, dataState);
+      result.days++;
+      result[dataState]++;
+      result.rows += rows.length;
+      summary.remainingDays--;
+    }
+  }
+
+  summary.complete = summary.remainingDays === 0;
+  return summary;
+}
+
+/**
+ * Synced days and rows of every dimension set for a site
+ */
+export function getWarehouseStatus(cfg, siteUrl) {
+  return getDimensionSets(cfg).map(dimensions => {
+    const table = getWarehouseTable(dimensions);
+    const days = getWarehouseDays(siteUrl, table);
+    return {
+      table,
+      dimensions,
+      days: days.length,
+      finalDays: days.filter(day => day.data_state === "final").length,
+      preliminaryDays: days.filter(day => day.data_state === "preliminary").length,
+      rows: days.reduce((total, day) => total + day.row_count, 0),
+      firstDate: days[0]?.date || null,
+      lastDate: days.at(-1)?.date || null,
+      lastSyncedAt: days.length > 0 ? new Date(Math.max(...days.map(day => day.synced_at))).toISOString() : null,
+    };
+  });
+}
+
+/**
+ * Warehouse table that can answer a normalized Search Console query, or null.
+ * The query's dimensions besides date must be one synced dimension set, its
+ * filters may only use those dimensions, and every day of the range must be
+ * synced as final. Fresh data and other aggregation types go to the API.
+ */
+export function findWarehouseTable(query, cfg, siteUrl) {
+  if (!cfg.warehouse?.enabled || !siteUrl) {
+    return null;
+  }
+  if (query.dataState !== "final" || query.aggregationType !== "auto" || query.searchType !== (cfg.warehouse.searchType || "web")) {
+    return null;
+  }
+
+  const dimensions = query.dimensions.filter(dimension => dimension !== "date");
+  const dimensionSet = getDimensionSets(cfg).find(set =>
+    set.length === dimensions.length && set.every(dimension => dimensions.includes(dimension))
+  );
+  if (!dimensionSet || flattenFilters(query.filters).some(f => f.type === "dimension" && !dimensionSet.includes(f.field))) {
+    return null;
+  }
+
+  const table = getWarehouseTable(dimensionSet);
+  const finalDays = getFinalDays(siteUrl, table);
+  const covered = splitDateRange(query.dateRange).every(({ start }) => finalDays.has(start));
+  return covered ? table : null;
+}
+
+/**
+ * Answer a query from a warehouse table (see findWarehouseTable), summed up
+ * like the GSC API: the top rows by clicks, limited to query.limit
+ */
+export function queryWarehouse(query, table, siteUrl, ctx = {}) {
+  console.log(chalk.blue(`Reading ${query.dimensions.join(", ")} data of ${siteUrl} from the local warehouse (${table})...`));
+
+  const rows = applyDimensionFilters(getWarehouseTotals(siteUrl, table, query.dimensions, query.dateRange), query.filters)
+    .sort((a, b) => b.clicks - a.clicks)
+    .slice(0, query.limit)
+    .map(row => {
+      const result = {};
+      query.dimensions.forEach(dimension => {
+        result[dimension] = row[dimension];
+      });
+      query.metrics.forEach(metric => {
+        result[metric] = row[metric] ?? 0;
+      });
+      return result;
+    });
+
+  console.log(chalk.gray(`Warehouse returned ${rows.length} rows (requested limit: ${query.limit})`));
+  ctx.metadata = ctx.metadata || {};
+  ctx.metadata.dataState = "final";
+  ctx.metadata.aggregationType = "auto";
+  ctx.metadata.servedFrom = "warehouse";
+  return rows;
+}
+
+async function fetchDay(cfg, auth, siteUrl, dimensions, date, today, signal) {
+  const ctx = { siteUrl, signal, metadata: {} };
+  const rows = await runGSC({
+    dateRange: { start: date, end: date },
+    dimensions: ["date", ...dimensions],
+    metrics: METRICS,
+    filters: [],
+    orderBys: [],
+    limit: cfg.warehouse.maxRowsPerDay || 25000,
+    searchType: cfg.warehouse.searchType || "web",
+    dataState: "all",
+    aggregationType: "auto",
+  }, cfg, auth, ctx);
+
+  // Recent days without data are synced again later, like preliminary ones
+  const preliminary = ctx.metadata.includesPreliminaryData || (rows.length === 0 && date >= addDays(today, -RECENT_DAYS));
+  return { rows, dataState: preliminary ? "preliminary" : "final" };
+}
+
+function getFinalDays(siteUrl, table) {
+  return new Set(getWarehouseDays(siteUrl, table)
+    .filter(day => day.data_state === "final")
+    .map(day => day.date));
+}
+
+// Dimension names become table and column names, so only GSC's are allowed
+function getDimensionSets(cfg) {
+  const sets = cfg.warehouse?.dimensionSets || [];
+  sets.forEach(dimensions => {
+    const invalid = dimensions.filter(dimension => dimension === "date" || !Object.values(GSC_DIMENSIONS).includes(dimension));
+    if (dimensions.length === 0 || invalid.length > 0) {
+      throw new Error(`Invalid warehouse dimension set: [${dimensions.join(", ")}] (use GSC dimensions other than date)`);
+    }
+  });
+  return sets;
+}
+
+function subtractMonths(value, months) {
+  const date = parseDate(value);
+  date.setUTCMonth(date.getUTCMonth() - months);
+  return formatDate(date);
+}
@@ -1,28 +1,36 @@
 import { BigQuery } from "@google-cloud/bigquery";
 import chalk from "chalk";
+import { isFilterGroup, flattenFilters } from "../core/filters.js";
+import { BQ_BULK_EXPORT_COLUMNS, BQ_BULK_EXPORT_SEARCH_TYPES } from "../core/schema.js";
+import { GoogleApiError, PermissionDeniedError, InvalidQueryError, QueryCostLimitError } from "../utils/errors.js";
+import { getCachedSchema, storeCachedSchema } from "../utils/database.js";
+import { bindSQLTemplate } from "../core/sql-template.js";
 
-export default async function runBQ(query, cfg) {
-  const bqConfig = cfg.sources.bigquery;
-  const projectId = process.env.BQ_PROJECT_ID || bqConfig.projectId;
-  const dataset = process.env.BQ_DATASET || bqConfig.dataset;
-  
-  if (!projectId) {
-    throw new Error("BigQuery project ID is required. Set BQ_PROJECT_ID environment variable or configure in config.js");
-  }
-  
-  if (!dataset) {
-    throw new Error("BigQuery dataset is required. Set BQ_DATASET environment variable or configure in config.js");
-  }
-
-  // Initialize BigQuery client
-  const client = new BigQuery({
-    projectId: projectId,
-    location: bqConfig.location || "US",
-  });
+/**
+ * Run a query against the BigQuery export. A dry run first estimates the bytes
+ * processed; queries over bqConfig.maximumBytesBilled are refused unless
+ * ctx.overrideMaxBytesBilled is set. The estimate and the bytes billed are
+ * reported on ctx.metadata.
+ */
+export default async function runBQ(query, cfg, ctx = {}) {
+  ctx.metadata = ctx.metadata || {};
+  const { bqConfig, projectId, dataset, client } = connect(cfg);
 
+  let cancelJob = null;
   try {
-    // Build SQL query
-    const sql = buildSQL(query, projectId, dataset, bqConfig);
+    // Build SQL query: the GSC export by default, or another table of the dataset
+    let built;
+    if (query.sql) {
+      // SQL presets bind their own parameters, the date range included
+      built = bindSQLTemplate(query, { projectId, dataset });
+    } else if (query.table) {
+      built = buildTableSQL(query, projectId, dataset, await describeTable(cfg, query.table));
+    } else if (bqConfig.exportSchema === "bulk") {
+      built = buildBulkExportSQL(query, projectId, dataset, bqConfig);
+    } else {
+      built = buildSQL(query, projectId, dataset, bqConfig);
+    }
+    const { sql, params, types } = built;
     
     console.log(chalk.blue(`Querying BigQuery project ${projectId}, dataset ${dataset}...`));
     console.log(chalk.gray(`SQL query:`, sql));
@@ -31,92 +39,516 @@ export default async function runBQ(query, cfg) {
     // Execute query
     const options = {
       query: sql,
-      params: {
+      params: query.sql ? params : {
         start_date: query.dateRange.start,
         end_date: query.dateRange.end,
         limit: query.limit || 1000,
+        ...params,
       },
     };
+    // Filter values are sent with explicit types (see createParams)
+    if (Object.keys(types).length > 0) {
+      options.types = types;
+    }
+
+    // Dry runs are free and fail fast on invalid SQL
+    const [dryRunJob] = await client.createQueryJob({ ...options, dryRun: true });
+    const estimatedBytes = toBytes(dryRunJob?.metadata?.statistics?.totalBytesProcessed);
+    ctx.metadata.bytesEstimated = estimatedBytes;
+    
+    const maximumBytesBilled = bqConfig.maximumBytesBilled || null;
+    if (estimatedBytes !== null) {
+      console.log(chalk.gray(`Estimated bytes processed: ${formatBytes(estimatedBytes)}`));
+    }
+    if (maximumBytesBilled && !ctx.overrideMaxBytesBilled) {
+      if (estimatedBytes !== null && estimatedBytes > maximumBytesBilled) {
+        throw new QueryCostLimitError(
+          `Query would process about ${formatBytes(estimatedBytes)}, more than sources.bigquery.maximumBytesBilled (${formatBytes(maximumBytesBilled)}). Narrow the date range or filters to scan less data.`,
+          { estimatedBytes, maximumBytesBilled }
+        );
+      }
+      // BigQuery fails the job itself if the estimate was off
+      options.maximumBytesBilled = String(maximumBytesBilled);
+    }
 
     const [job] = await client.createQueryJob(options);
+    
+    // Cancel the job server-side when runQuery times out or the user cancels
+    if (ctx.signal) {
+      cancelJob = () => {
+        console.log(chalk.yellow(`Cancelling BigQuery job ${job.id}...`));
+        job.cancel().catch(error => console.log(chalk.gray(`Could not cancel job: ${error.message}`)));
+      };
+      if (ctx.signal.aborted) {
+        cancelJob();
+        throw ctx.signal.reason;
+      }
+      ctx.signal.addEventListener("abort", cancelJob, { once: true });
+    }
+    
+    // DATE, DATETIME and TIMESTAMP columns come back as objects holding the
+    // value and NUMERIC ones as Big numbers; use plain values like GSC
     const [rows] = await job.getQueryResults();
+    rows.forEach(row => {
+      for (const [column, value] of Object.entries(row)) {
+        if (value && typeof value === "object" && "value" in value) {
+          row[column] = value.value;
+        } else if (value && typeof value.toNumber === "function") {
+          row[column] = value.toNumber();
+        }
+      }
+    });
     
     console.log(chalk.gray(`BigQuery returned ${rows.length} rows (requested limit: ${query.limit || 1000})`));
     
+    ctx.metadata.bytesBilled = await getBytesBilled(job);
+    if (ctx.metadata.bytesBilled !== null) {
+      console.log(chalk.gray(`Bytes billed: ${formatBytes(ctx.metadata.bytesBilled)}`));
+    }
+    
     return rows;
     
   } catch (error) {
-    if (error.code === 403) {
-      throw new Error(`BigQuery access denied. Check that your service account has access to project ${projectId} and has the "Job User" and "Data Viewer" roles.`);
-    } else if (error.code === 404) {
-      throw new Error(`BigQuery project ${projectId} or dataset ${dataset} not found. Check your configuration.`);
-    } else if (error.code === 400) {
-      throw new Error(`Invalid BigQuery query: ${error.message}`);
-    } else {
-      throw new Error(`BigQuery API error: ${error.message}`);
+    if (ctx.signal?.aborted) {
+      throw ctx.signal.reason;
+    }
+    if (error instanceof QueryCostLimitError) {
+      throw error;
+    }
+    throw toBigQueryError(error, projectId, dataset);
+  } finally {
+    if (cancelJob) {
+      ctx.signal.removeEventListener("abort", cancelJob);
     }
   }
 }
 
-function buildSQL(query, projectId, dataset, bqConfig) {
-  const fields = [...query.dimensions, ...query.metrics]
-    .map(field => `\`${field}\``)
-    .join(", ");
+// Project and dataset queries run against (environment first, then config.js)
+export function getDatasetRef(cfg) {
+  const bqConfig = cfg.sources.bigquery;
+  return {
+    projectId: process.env.BQ_PROJECT_ID || bqConfig.projectId,
+    dataset: process.env.BQ_DATASET || bqConfig.dataset,
+  };
+}
+
+// Client for the configured project; fails early without a project or dataset
+function connect(cfg) {
+  const bqConfig = cfg.sources.bigquery;
+  const { projectId, dataset } = getDatasetRef(cfg);
   
-  const orderBy = (query.orderBys || [])
-    .map(ob => {
-      const field = ob.metric || ob.dimension;
-      const direction = ob.desc ? "DESC" : "ASC";
-      return `\`${field}\` ${direction}`;
-    })
-    .join(", ");
+  if (!projectId) {
+    throw new Error("BigQuery project ID is required. Set BQ_PROJECT_ID environment variable or configure in config.js");
+  }
   
-  const whereClause = buildWhereClause(query);
+  if (!dataset) {
+    throw new Error("BigQuery dataset is required. Set BQ_DATASET environment variable or configure in config.js");
+  }
+
+  // Initialize BigQuery client
+  const client = new BigQuery({
+    projectId: projectId,
+    location: bqConfig.location || "US",
+  });
+
+  return { bqConfig, projectId, dataset, client };
+}
+
+// Same typed errors as the GSC source, so callers map both the same way
+function toBigQueryError(error, projectId, dataset) {
+  if (error instanceof GoogleApiError) {
+    return error;
+  }
+  if (error.code === 403) {
+    return new PermissionDeniedError(`BigQuery access denied. Check that your service account has access to project ${projectId} and has the "Job User" and "Data Viewer" roles.`, { cause: error });
+  } else if (error.code === 404) {
+    return new GoogleApiError(`BigQuery project ${projectId} or dataset ${dataset} not found. Check your configuration.`, { statusCode: 404, cause: error });
+  } else if (error.code === 400) {
+    return new InvalidQueryError(`Invalid BigQuery query: ${error.message}`, { cause: error });
+  }
+  return new GoogleApiError(`BigQuery API error: ${error.message}`, { cause: error });
+}
+
+const NUMERIC_TYPES = ["INT64", "INTEGER", "FLOAT64", "FLOAT", "NUMERIC", "BIGNUMERIC"];
+
+// Day shards of one table, e.g. gsc_data_20240101
+const DAY_SHARD = /^(.+_)\d{8}$/;
+
+/**
+ * Tables of the configured dataset and their columns ({name, type}), read
+ * from INFORMATION_SCHEMA. Day-sharded tables are listed once under their
+ * wildcard name (gsc_data_*) with the columns of the newest shard. The result
+ * is cached in SQLite for bqConfig.schemaCacheTtlMs; pass refresh to reload it.
+ */
+export async function introspectDataset(cfg, { refresh = false } = {}) {
+  const { bqConfig, projectId, dataset, client } = connect(cfg);
+  const cacheKey = `bigquery:${projectId}.${dataset}`;
+
+  if (!refresh) {
+    const cached = getCachedSchema(cacheKey, bqConfig.schemaCacheTtlMs ?? 24 * 60 * 60 * 1000);
+    if (cached) {
+      return cached;
+    }
+  }
+
+  console.log(chalk.blue(`Reading the schema of ${projectId}.${dataset}...`));
+  let rows;
+  try {
+    [rows] = await client.query({
+      query: `SELECT table_name, column_name, data_type
+        FROM \`${projectId}.${dataset}.INFORMATION_SCHEMA.COLUMNS\`
+        ORDER BY table_name, ordinal_position`,
+    });
+  } catch (error) {
+    throw toBigQueryError(error, projectId, dataset);
+  }
+
+  const columnsByTable = {};
+  rows.forEach(row => {
+    columnsByTable[row.table_name] = columnsByTable[row.table_name] || [];
+    columnsByTable[row.table_name].push({ name: row.column_name, type: row.data_type });
+  });
+
+  // Sorted by name, the newest shard of a table comes last and wins
+  const tables = {};
+  Object.keys(columnsByTable).sort().forEach(table => {
+    tables[table.replace(DAY_SHARD, "$1*")] = columnsByTable[table];
+  });
+
+  storeCachedSchema(cacheKey, tables);
+  return tables;
+}
+
+/**
+ * Metrics (numeric columns) and dimensions (the other columns) of one table.
+ * table is a key of bqConfig.tables ("pages") or a table name ("pages",
+ * "gsc_data_*"); only tables that exist in the dataset are accepted.
+ */
+export async function describeTable(cfg, table, options = {}) {
+  const tables = await introspectDataset(cfg, options);
+  const name = cfg.sources.bigquery.tables?.[table] || table;
+  const columns = tables[name];
+  if (!columns) {
+    throw new InvalidQueryError(`Table ${name} not found in the BigQuery dataset. Available tables: ${Object.keys(tables).join(", ")}`);
+  }
+
+  // Arrays and structs cannot be grouped by
+  const groupable = columns.filter(column => !/^(ARRAY|STRUCT|RECORD)/.test(column.type));
+  return {
+    table: name,
+    columns,
+    metrics: groupable.filter(column => NUMERIC_TYPES.includes(column.type)).map(column => column.name),
+    dimensions: groupable.filter(column => !NUMERIC_TYPES.includes(column.type)).map(column => column.name),
+  };
+}
+
+/**
+ * Metrics and dimensions of the default table: the columns of the sharded
+ * export (gsc_data_*), or for exportSchema "bulk" the GSC fields the bulk
+ * export's URL table has columns for (see BQ_BULK_EXPORT_COLUMNS)
+ */
+export async function describeDefaultTable(cfg, options = {}) {
+  const bqConfig = cfg.sources.bigquery;
+  if (bqConfig.exportSchema !== "bulk") {
+    return describeTable(cfg, bqConfig.tables?.gscData || "gsc_data_*", options);
+  }
+
+  const { table, columns } = await describeTable(cfg, bqConfig.tables?.urlImpression || "searchdata_url_impression", options);
+  const names = columns.map(column => column.name);
+  return {
+    table,
+    columns,
+    metrics: ["clicks", "impressions", "sum_position"].every(name => names.includes(name)) ? ["clicks", "impressions", "ctr", "position"] : [],
+    dimensions: Object.keys(BQ_BULK_EXPORT_COLUMNS).filter(field => names.includes(BQ_BULK_EXPORT_COLUMNS[field])),
+  };
+}
+
+// The rows are already fetched, so a failed statistics lookup only loses the number
+async function getBytesBilled(job) {
+  try {
+    const [metadata] = await job.getMetadata();
+    return toBytes(metadata?.statistics?.query?.totalBytesBilled);
+  } catch (error) {
+    console.log(chalk.gray(`Could not read bytes billed: ${error.message}`));
+    return null;
+  }
+}
+
+// Job statistics report byte counts as int64 strings
+function toBytes(value) {
+  return value === undefined || value === null ? null : Number(value);
+}
+
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB", "PB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+// Aggregated metrics for sharded gsc_data_* tables, where every row already
+// has its own ctr and average position
+const SHARDED_METRICS = {
+  clicks: "SUM(`clicks`)",
+  impressions: "SUM(`impressions`)",
+  ctr: "SAFE_DIVIDE(SUM(`clicks`), SUM(`impressions`))",
+  position: "SAFE_DIVIDE(SUM(`position` * `impressions`), SUM(`impressions`))",
+};
+
+function buildSQL(query, projectId, dataset, bqConfig) {
+  // Other columns of custom tables are summed
+  const select = buildSelect(query, field => `\`${field}\``, metric => SHARDED_METRICS[metric] || `SUM(\`${metric}\`)`);
+  const filterParams = createParams();
+  const whereClause = buildWhereClause(query, filterParams);
   
   // Use the configured table (default to gsc_data_* for GSC export)
   const table = bqConfig.tables?.gscData || "gsc_data_*";
   
   const sql = `
-    SELECT ${fields}
+    SELECT ${select}
     FROM \`${projectId}.${dataset}.${table}\`
     WHERE _TABLE_SUFFIX BETWEEN REPLACE(@start_date, '-', '') AND REPLACE(@end_date, '-', '')
     ${whereClause}
-    ${orderBy ? `ORDER BY ${orderBy}` : ""}
+    ${buildGroupAndOrder(query)}
     LIMIT @limit
   `;
   
-  return sql.trim();
+  return { sql: sql.trim(), params: filterParams.params, types: filterParams.types };
 }
 
-function buildWhereClause(query) {
-  if (!query.filters || query.filters.length === 0) {
-    return "";
+/**
+ * SQL for another table of the dataset, described by describeTable(). ctr and
+ * position are weighted like in the GSC export when the table has clicks and
+ * impressions; other metrics are summed.
+ */
+function buildTableSQL(query, projectId, dataset, schema) {
+  const columnTypes = new Map(schema.columns.map(column => [column.name, column.type]));
+  const weighted = columnTypes.has("clicks") && columnTypes.has("impressions");
+  const select = buildSelect(query, field => `\`${field}\``, metric => (weighted && SHARDED_METRICS[metric]) || `SUM(\`${metric}\`)`);
+  const filterParams = createParams();
+  const whereClause = buildWhereClause(query, filterParams);
+  
+  const sql = `
+    SELECT ${select}
+    FROM \`${projectId}.${dataset}.${schema.table}\`
+    WHERE ${buildDateCondition(schema.table, columnTypes.get("date"))}
+    ${whereClause}
+    ${buildGroupAndOrder(query)}
+    LIMIT @limit
+  `;
+  
+  return { sql: sql.trim(), params: filterParams.params, types: filterParams.types };
+}
+
+// Wildcard tables are filtered by shard, other tables by their date column.
+// Tables without one are read in full.
+function buildDateCondition(table, dateType) {
+  if (table.endsWith("*")) {
+    return "_TABLE_SUFFIX BETWEEN REPLACE(@start_date, '-', '') AND REPLACE(@end_date, '-', '')";
   }
   
-  const conditions = query.filters.map(filter => {
-    const field = `\`${filter.field}\``;
-    
-    switch (filter.op) {
-      case "eq":
-        return `${field} = @${getParamName(filter)}`;
-      case "neq":
-        return `${field} != @${getParamName(filter)}`;
-      case "gt":
-        return `${field} > @${getParamName(filter)}`;
-      case "lt":
-        return `${field} < @${getParamName(filter)}`;
-      case "contains":
-        return `${field} LIKE '%' || @${getParamName(filter)} || '%'`;
-      case "regex":
-        return `REGEXP_CONTAINS(${field}, @${getParamName(filter)})`;
-      default:
-        throw new Error(`Unsupported filter operator: ${filter.op}`);
+  switch (dateType) {
+    case "DATE":
+      return "`date` BETWEEN CAST(@start_date AS DATE) AND CAST(@end_date AS DATE)";
+    case "DATETIME":
+    case "TIMESTAMP":
+      return "DATE(`date`) BETWEEN CAST(@start_date AS DATE) AND CAST(@end_date AS DATE)";
+    case "STRING":
+      return "`date` BETWEEN @start_date AND @end_date";
+    default:
+      return "TRUE";
+  }
+}
+
+/**
+ * Select the dimensions (renamed to their GSC names) and one aggregate per
+ * metric, so each row totals one combination of dimension values like a GSC
+ * API row does. column() maps a field to its column, metricSQL() a metric to
+ * its aggregate expression.
+ */
+function buildSelect(query, column, metricSQL) {
+  return [
+    ...query.dimensions.map(dimension => {
+      const source = column(dimension);
+      const alias = `\`${dimension}\``;
+      return source === alias ? alias : `${source} AS ${alias}`;
+    }),
+    ...query.metrics.map(metric => `${metricSQL(metric)} AS \`${metric}\``),
+  ].join(", ");
+}
+
+// GROUP BY and ORDER BY refer to the output names from buildSelect. Without
+// orderBys we return the top rows by clicks, like the API.
+function buildGroupAndOrder(query) {
+  const groupBy = query.dimensions.map(dimension => `\`${dimension}\``).join(", ");
+  const orderBys = query.orderBys?.length > 0 || !query.metrics.includes("clicks")
+    ? query.orderBys || []
+    : [{ metric: "clicks", desc: true }];
+  const orderBy = orderBys
+    .map(ob => {
+      const field = ob.metric || ob.dimension;
+      const direction = ob.desc ? "DESC" : "ASC";
+      return `\`${field}\` ${direction}`;
+    })
+    .join(", ");
+
+  return [
+    groupBy ? `GROUP BY ${groupBy}` : "",
+    orderBy ? `ORDER BY ${orderBy}` : "",
+  ].filter(Boolean).join("\n    ");
+}
+
+/**
+ * SQL for the official Search Console bulk export. Property-level data lives
+ * in searchdata_site_impression, page-level data in searchdata_url_impression;
+ * both are partitioned by data_date and store position as a sum of 0-based
+ * positions (sum_top_position / sum_position).
+ */
+function buildBulkExportSQL(query, projectId, dataset, bqConfig) {
+  const fields = [...query.dimensions, ...flattenFilters(query.filters).map(f => f.field)];
+  const unsupported = fields.filter(field => !BQ_BULK_EXPORT_COLUMNS[field] && !["clicks", "impressions", "ctr", "position"].includes(field));
+  if (unsupported.length > 0) {
+    throw new InvalidQueryError(`Field(s) ${[...new Set(unsupported)].join(", ")} not available in the bulk export schema (search appearance is only exported as is_* flag columns)`);
+  }
+
+  // Page data, or by-page counting, needs the URL table
+  const byUrl = fields.includes("page") || query.aggregationType === "byPage";
+  const table = byUrl
+    ? bqConfig.tables?.urlImpression || "searchdata_url_impression"
+    : bqConfig.tables?.siteImpression || "searchdata_site_impression";
+  const positionColumn = byUrl ? "sum_position" : "sum_top_position";
+
+  const metricExpressions = {
+    clicks: "SUM(`clicks`)",
+    impressions: "SUM(`impressions`)",
+    ctr: "SAFE_DIVIDE(SUM(`clicks`), SUM(`impressions`))",
+    position: `SAFE_DIVIDE(SUM(\`${positionColumn}\`), SUM(\`impressions\`)) + 1`,
+  };
+  const select = buildSelect(query, field => `\`${BQ_BULK_EXPORT_COLUMNS[field]}\``, metric => {
+    if (!metricExpressions[metric]) {
+      throw new InvalidQueryError(`Metric ${metric} not available in the bulk export schema`);
     }
+    return metricExpressions[metric];
   });
+
+  // Like the API, leave out anonymized queries when grouping by query
+  const anonymized = query.dimensions.includes("query") ? "AND is_anonymized_query = FALSE" : "";
+  const filterParams = createParams();
+  const whereClause = buildWhereClause(query, filterParams, field => `\`${BQ_BULK_EXPORT_COLUMNS[field]}\``);
+
+  const sql = `
+    SELECT ${select}
+    FROM \`${projectId}.${dataset}.${table}\`
+    WHERE data_date BETWEEN CAST(@start_date AS DATE) AND CAST(@end_date AS DATE)
+    AND search_type = @search_type
+    ${anonymized}
+    ${whereClause}
+    ${buildGroupAndOrder(query)}
+    LIMIT @limit
+  `;
+
+  return {
+    sql: sql.trim(),
+    params: { search_type: BQ_BULK_EXPORT_SEARCH_TYPES[query.searchType || "web"], ...filterParams.params },
+    types: filterParams.types,
+  };
+}
+
+function buildWhereClause(query, filterParams, column = field => `\`${field}\``) {
+  if (!query.filters || query.filters.length === 0) {
+    return "";
+  }
+  
+  // Metric filters are applied by runQuery to the fetched rows
+  const conditions = query.filters
+    .filter(filter => isFilterGroup(filter) || filter.type !== "metric")
+    .map(filter => {
+      if (!isFilterGroup(filter)) {
+        return buildCondition(filter, filterParams, column);
+      }
+      
+      const joiner = filter.groupType === "or" ? " OR " : " AND ";
+      return `(${filter.filters.map(f => buildCondition(f, filterParams, column)).join(joiner)})`;
+    });
   
   return conditions.length > 0 ? `AND ${conditions.join(" AND ")}` : "";
 }
 
-function getParamName(filter) {
-  return `p_${filter.field.replace(/\W+/g, '_')}`;
+function buildCondition(filter, filterParams, column) {
+  const field = column(filter.field);
+  const param = (value = filter.value) => filterParams.bind(filter.field, value);
+  
+  switch (filter.op) {
+    case "eq":
+      return `${field} = ${param()}`;
+    case "neq":
+      return `${field} != ${param()}`;
+    case "gt":
+      return `${field} > ${param()}`;
+    case "lt":
+      return `${field} < ${param()}`;
+    case "contains":
+      return `${field} LIKE '%' || ${param()} || '%'`;
+    case "notContains":
+      return `${field} NOT LIKE '%' || ${param()} || '%'`;
+    case "regex":
+    case "includingRegex":
+      return `REGEXP_CONTAINS(${field}, ${param()})`;
+    case "excludingRegex":
+      return `NOT REGEXP_CONTAINS(${field}, ${param()})`;
+    case "in":
+      return `${field} IN UNNEST(${param(toList(filter.value))})`;
+    case "notIn":
+      return `${field} NOT IN UNNEST(${param(toList(filter.value))})`;
+    case "between":
+      return `${field} BETWEEN ${param(filter.value[0])} AND ${param(filter.value[1])}`;
+    default:
+      throw new Error(`Unsupported filter operator: ${filter.op}`);
+  }
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Named parameters for filter values. Every value gets its own name (p_query,
+ * p_query_1, ...) so several filters on one field do not collide, and an
+ * explicit type: BigQuery cannot infer the element type of an empty array,
+ * and DATE columns only compare with DATE values.
+ */
+function createParams() {
+  const params = {};
+  const types = {};
+  
+  function bind(field, value) {
+    const base = `p_${field.replace(/\W+/g, '_')}`;
+    let name = base;
+    for (let i = 1; name in params; i++) {
+      name = `${base}_${i}`;
+    }
+    
+    const values = Array.isArray(value) ? value : [value];
+    const type = getParamType(field, values);
+    const typed = type === "INT64" || type === "FLOAT64" ? values : values.map(String);
+    params[name] = Array.isArray(value) ? typed : typed[0];
+    types[name] = Array.isArray(value) ? [type] : type;
+    return `@${name}`;
+  }
+  
+  return { params, types, bind };
+}
+
+function getParamType(field, values) {
+  if (field === "date") {
+    return "DATE";
+  }
+  if (values.length > 0 && values.every(value => typeof value === "number")) {
+    return values.every(Number.isInteger) ? "INT64" : "FLOAT64";
+  }
+  return "STRING";
 }
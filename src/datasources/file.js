@@ -0,0 +1,199 @@
+import fs from "node:fs";
+import path from "node:path";
+import chalk from "chalk";
+import { parse } from "csv-parse/sync";
+import AdmZip from "adm-zip";
+import { mergeRows } from "../core/aggregate.js";
+import { applyDimensionFilters } from "../core/filters.js";
+
+const SUPPORTED_EXTENSIONS = [".csv", ".json", ".zip"];
+
+// Column headers of Search Console UI exports (and our own saved results),
+// lowercased, mapped to the field names the GSC data source uses
+const COLUMN_ALIASES = {
+  "top queries": "query",
+  "queries": "query",
+  "query": "query",
+  "top pages": "page",
+  "pages": "page",
+  "page": "page",
+  "country": "country",
+  "countries": "country",
+  "device": "device",
+  "devices": "device",
+  "search appearance": "searchAppearance",
+  "searchappearance": "searchAppearance",
+  "date": "date",
+  "dates": "date",
+  "clicks": "clicks",
+  "impressions": "impressions",
+  "ctr": "ctr",
+  "position": "position",
+};
+
+const METRICS = ["clicks", "impressions", "ctr", "position"];
+
+/**
+ * Query a local file: a CSV or ZIP export from the Search Console UI, or a
+ * JSON/CSV result this tool saved. query.file names a file inside one of
+ * cfg.sources.file.dirs. Rows are filtered, re-aggregated to the requested
+ * dimensions and cut to the top rows by clicks, like the GSC API does.
+ */
+export default async function runFile(query, cfg) {
+  const dirs = getDirs(cfg);
+  const filePath = resolveFile(query.file, dirs);
+
+  console.log(chalk.blue(`Reading ${filePath}...`));
+  const fields = [...query.dimensions, ...query.metrics];
+  let rows = loadRows(filePath, fields);
+  const columns = new Set(Object.keys(rows[0] || {}));
+
+  const missing = fields.filter(field => !columns.has(field));
+  if (missing.length > 0) {
+    throw new Error(`File ${query.file} has no ${missing.join(", ")} column(s). Available columns: ${[...columns].join(", ")}`);
+  }
+
+  // Files without dates cover a single period, so the date range only applies
+  // when there is a date column
+  if (columns.has("date")) {
+    rows = rows.filter(row => row.date >= query.dateRange.start && row.date <= query.dateRange.end);
+  }
+  rows = applyDimensionFilters(rows, query.filters);
+
+  // Sum up rows when the file is broken down by more dimensions than requested
+  const extraDimensions = [...columns].filter(column => !METRICS.includes(column) && !query.dimensions.includes(column));
+  if (extraDimensions.length > 0) {
+    if (!columns.has("impressions") && query.metrics.some(m => m === "ctr" || m === "position")) {
+      throw new Error(`File ${query.file} has no impressions column, so ctr and position cannot be re-aggregated by ${query.dimensions.join(", ")}`);
+    }
+    rows = mergeRows(rows, query.dimensions);
+  }
+
+  rows = rows
+    .map(row => {
+      const result = {};
+      fields.forEach(field => {
+        result[field] = row[field];
+      });
+      return result;
+    })
+    .sort((a, b) => (b.clicks || 0) - (a.clicks || 0))
+    .slice(0, query.limit);
+
+  console.log(chalk.gray(`File returned ${rows.length} rows (requested limit: ${query.limit})`));
+  return rows;
+}
+
+/**
+ * Names of the files the file source can read, for pickers in the CLI and API
+ */
+export function listFiles(cfg) {
+  const names = getDirs(cfg)
+    .filter(dir => fs.existsSync(dir))
+    .flatMap(dir => fs.readdirSync(dir, { withFileTypes: true }))
+    .filter(entry => entry.isFile() && SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+    .map(entry => entry.name);
+
+  // A name in two folders resolves to the first one, so list it once
+  return [...new Set(names)].sort();
+}
+
+function getDirs(cfg) {
+  return cfg.sources.file?.dirs || [cfg.output?.outDir || "./.out"];
+}
+
+// Find the file in the allowed directories; never read outside of them
+function resolveFile(file, dirs) {
+  if (!file) {
+    throw new Error(`The file source needs a file name (looked in ${dirs.join(", ")})`);
+  }
+
+  for (const dir of dirs) {
+    const root = path.resolve(dir);
+    const filePath = path.resolve(root, file);
+    const relative = path.relative(root, filePath);
+    if (relative.startsWith("..") || path.isAbsolute(relative)) {
+      continue;
+    }
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+  }
+
+  throw new Error(`File not found: ${file} (looked in ${dirs.join(", ")})`);
+}
+
+function loadRows(filePath, fields) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  switch (extension) {
+    case ".json":
+      return loadJSON(fs.readFileSync(filePath, "utf8"));
+    case ".csv":
+      return parseCSV(fs.readFileSync(filePath, "utf8"));
+    case ".zip":
+      return loadZip(filePath, fields);
+    default:
+      throw new Error(`Unsupported file type: ${extension} (use ${SUPPORTED_EXTENSIONS.join(", ")})`);
+  }
+}
+
+// Saved results are a plain array of rows; raw API responses keep them in rows
+function loadJSON(content) {
+  const data = JSON.parse(content);
+  const rows = Array.isArray(data) ? data : data.rows;
+  if (!Array.isArray(rows)) {
+    throw new Error("JSON files must contain an array of rows");
+  }
+  return rows.map(normalizeRow);
+}
+
+function parseCSV(content) {
+  return parse(content, { columns: true, bom: true, skip_empty_lines: true, trim: true })
+    .map(normalizeRow);
+}
+
+// A UI export has one CSV per dimension (Queries.csv, Pages.csv, Dates.csv...).
+// Use the first one that has every requested column.
+function loadZip(filePath, fields) {
+  const tables = new AdmZip(filePath).getEntries()
+    .filter(entry => !entry.isDirectory && entry.entryName.toLowerCase().endsWith(".csv"))
+    .map(entry => ({ name: entry.entryName, rows: parseCSV(entry.getData().toString("utf8")) }));
+
+  const table = tables.find(({ rows }) => rows.length > 0 && fields.every(field => field in rows[0]));
+  if (!table) {
+    throw new Error(`No CSV in ${path.basename(filePath)} has the columns ${fields.join(", ")} (found ${tables.map(t => t.name).join(", ")})`);
+  }
+
+  console.log(chalk.gray(`Using ${table.name} from ${path.basename(filePath)}`));
+  return table.rows;
+}
+
+// Rename columns to GSC field names and parse metric values
+function normalizeRow(row) {
+  const result = {};
+
+  for (const [column, value] of Object.entries(row)) {
+    const field = COLUMN_ALIASES[column.trim().toLowerCase()] || column;
+    result[field] = METRICS.includes(field) ? parseMetric(field, value) : value;
+  }
+
+  // The API reports devices in upper case, the UI export does not
+  if (typeof result.device === "string") {
+    result.device = result.device.toUpperCase();
+  }
+
+  return result;
+}
+
+function parseMetric(field, value) {
+  if (typeof value === "number") return value;
+  if (value === undefined || value === null || value === "") return undefined;
+
+  const text = String(value).trim().replace(/,/g, "");
+  // The UI exports CTR as a percentage ("4.52%"); the API uses a fraction
+  if (field === "ctr" && text.endsWith("%")) {
+    return Number(text.slice(0, -1)) / 100;
+  }
+  return Number(text);
+}
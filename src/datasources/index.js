@@ -0,0 +1,163 @@
+import runGSC from "./searchconsole.js";
+import runBQ, { introspectDataset, describeTable, describeDefaultTable, getDatasetRef } from "./bigquery.js";
+import runFile from "./file.js";
+import { GSC_METRICS, GSC_DIMENSIONS, GSC_FILTER_OPERATORS, BQ_FIELDS, CONTENT_GROUP_DIMENSION } from "../core/schema.js";
+import { validateChunkBy, validateSearchType, validateAggregationType } from "../cli/validators.js";
+import { validateSQLTemplate } from "../core/sql-template.js";
+import { findWarehouseTable, queryWarehouse } from "../core/warehouse.js";
+import { usesContentGroups, runWithContentGroups } from "../core/content-groups.js";
+
+/**
+ * @typedef DatasourceCapabilities
+ * @property {string[]} metrics - Metrics the source can return
+ * @property {string[]} dimensions - Dimensions the source can group and filter by
+ * @property {string[]} operators - Dimension filter operators the source understands (see Filter in
+ *   schema.js). Metric filters are applied by runQuery, so every source supports those.
+ * @property {number|null} maxRows - Most rows one query may return, null when only cfg.limits.maxRows applies
+ * @property {boolean} [sqlTemplates] - Whether the source runs SQL presets (query.sql)
+ */
+
+/**
+ * @typedef Datasource
+ * @property {string} id - Value of query.source that routes to this source
+ * @property {DatasourceCapabilities} capabilities
+ * @property {(query: Object) => string[]} [validate] - Source specific checks, returns error messages
+ * @property {(query: Object, ctx: Object) => Promise<DatasourceCapabilities|null>} [describe] - Capabilities
+ *   that depend on the query (e.g. the columns of query.table); null to use capabilities.
+ *   ctx holds cfg and refresh (skip cached schemas).
+ * @property {(ctx: Object) => Promise<string[]>} [tables] - Tables a query can pick with query.table
+ * @property {boolean} [cacheable] - false to keep results out of the query cache (default: true)
+ * @property {(query: Object, cfg: Object) => Object} [cacheScope] - What the results depend on besides
+ *   the query (site, dataset, ...); part of the query cache key
+ * @property {(query: Object, ctx: Object) => Promise<Object[]>} run - Fetch the rows for a normalized
+ *   query. ctx holds cfg, auth, signal (AbortSignal) and metadata (for result metadata).
+ *   Sorting and metric filters are applied by runQuery afterwards.
+ */
+
+const datasources = new Map();
+
+/**
+ * Make a data source available to runQuery, the CLI and the API
+ */
+export function registerDatasource(datasource) {
+  if (!datasource?.id || typeof datasource.run !== "function" || !datasource.capabilities) {
+    throw new Error("A data source needs an id, capabilities and a run(query, ctx) function");
+  }
+  if (datasources.has(datasource.id)) {
+    throw new Error(`Data source already registered: ${datasource.id}`);
+  }
+
+  datasources.set(datasource.id, datasource);
+  return datasource;
+}
+
+export function getDatasource(id) {
+  const datasource = datasources.get(id);
+  if (!datasource) {
+    throw new Error(`Unsupported source: ${id}`);
+  }
+  return datasource;
+}
+
+export function hasDatasource(id) {
+  return datasources.has(id);
+}
+
+export function listDatasources() {
+  return [...datasources.values()];
+}
+
+/**
+ * Capabilities of a data source for one query, from describe() when the
+ * source has it
+ */
+export async function getCapabilities(datasource, query, ctx) {
+  return (datasource.describe && await datasource.describe(query, ctx)) || datasource.capabilities;
+}
+
+// Built-in sources
+
+const METRICS = Object.values(GSC_METRICS);
+
+const searchconsole = registerDatasource({
+  id: "searchconsole",
+  capabilities: {
+    metrics: METRICS,
+    dimensions: Object.values(GSC_DIMENSIONS),
+    operators: Object.keys(GSC_FILTER_OPERATORS),
+    // Paged with startRow, so only cfg.limits.maxRows applies
+    maxRows: null,
+  },
+  validate: (query) => [
+    ...validateChunkBy(query),
+    ...validateSearchType(query),
+    ...validateAggregationType(query),
+  ],
+  // contentGroup is offered when sources.searchconsole.contentGroups has rules
+  describe: async (query, ctx) => ctx.cfg.sources.searchconsole?.contentGroups?.length > 0
+    ? { ...searchconsole.capabilities, dimensions: [...searchconsole.capabilities.dimensions, CONTENT_GROUP_DIMENSION] }
+    : null,
+  cacheScope: (query, cfg) => ({
+    siteUrl: getSiteUrl(cfg),
+    ...(usesContentGroups(query) && { contentGroups: cfg.sources.searchconsole.contentGroups }),
+  }),
+  run: (query, ctx) => usesContentGroups(query)
+    ? runWithContentGroups(query, ctx.cfg.sources.searchconsole.contentGroups, ctx.cfg.limits.maxRows, (pageQuery) => runSearchConsole(pageQuery, ctx))
+    : runSearchConsole(query, ctx),
+});
+
+function getSiteUrl(cfg) {
+  return process.env.GSC_SITE_URL || cfg.sources.searchconsole?.siteUrl;
+}
+
+// Final data of days synced into the local warehouse is read from SQLite
+function runSearchConsole(query, ctx) {
+  const siteUrl = getSiteUrl(ctx.cfg);
+  const table = findWarehouseTable(query, ctx.cfg, siteUrl);
+  return table ? queryWarehouse(query, table, siteUrl, ctx) : runGSC(query, ctx.cfg, ctx.auth, ctx);
+}
+
+// The GSC export by default; query.table picks any other table of the dataset.
+// Either way the columns are introspected.
+const bigquery = registerDatasource({
+  id: "bigquery",
+  capabilities: {
+    metrics: METRICS,
+    dimensions: Object.values(BQ_FIELDS).filter(field => !METRICS.includes(field)),
+    operators: ["eq", "neq", "gt", "lt", "contains", "notContains", "regex", "includingRegex", "excludingRegex", "in", "notIn", "between"],
+    maxRows: null,
+    sqlTemplates: true,
+  },
+  validate: (query) => query.sql ? validateSQLTemplate(query) : [],
+  describe: async (query, ctx) => {
+    // SQL presets select their own columns
+    if (query.sql) {
+      return null;
+    }
+    const { metrics, dimensions } = query.table
+      ? await describeTable(ctx.cfg, query.table, ctx)
+      : await describeDefaultTable(ctx.cfg, ctx);
+    return { ...bigquery.capabilities, metrics, dimensions };
+  },
+  tables: async (ctx) => Object.keys(await introspectDataset(ctx.cfg, ctx)),
+  cacheScope: (query, cfg) => {
+    const { exportSchema, tables } = cfg.sources.bigquery;
+    return { ...getDatasetRef(cfg), exportSchema, tables };
+  },
+  run: (query, ctx) => runBQ(query, ctx.cfg, ctx),
+});
+
+// GSC UI exports and saved results in cfg.sources.file.dirs, no credentials needed
+registerDatasource({
+  id: "file",
+  capabilities: {
+    metrics: METRICS,
+    dimensions: Object.values(GSC_DIMENSIONS),
+    operators: Object.keys(GSC_FILTER_OPERATORS),
+    maxRows: null,
+  },
+  // Files can change at any time and are quick to read again
+  cacheable: false,
+  validate: (query) => query.file ? [] : ["A file is required for the file source"],
+  run: (query, ctx) => runFile(query, ctx.cfg),
+});
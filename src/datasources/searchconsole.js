@@ -6,10 +6,23 @@ import { join } from "path";
 import open from "open";
 import { getTokensForUser, storeTokensForUser } from '../utils/database.js';
 import config from '../../config.js';
+import { mergeRows } from '../core/aggregate.js';
+import { splitDateRange } from '../utils/date-range.js';
+import { isFilterGroup, escapeRegex } from '../core/filters.js';
+import { GSC_FILTER_OPERATORS } from '../core/schema.js';
+import { requestWithRetry, toGoogleApiError } from '../utils/google-request.js';
+import { GoogleApiError } from '../utils/errors.js';
 
-export default async function runGSC(query, cfg, auth = null) {
+// Maximum rows the Search Analytics API returns per request
+const GSC_MAX_ROW_LIMIT = 25000;
+
+export default async function runGSC(query, cfg, auth = null, ctx = {}) {
   const gscConfig = cfg.sources.searchconsole;
-  const siteUrl = process.env.GSC_SITE_URL || gscConfig.siteUrl;
+  
+  // Result metadata (e.g. data freshness) is reported back through ctx.metadata;
+  // ctx.siteUrl queries another site than the default one
+  ctx.metadata = ctx.metadata || {};
+  const siteUrl = ctx.siteUrl || process.env.GSC_SITE_URL || gscConfig.siteUrl;
   
   if (!siteUrl) {
     throw new Error("GSC site URL is required. Set GSC_SITE_URL environment variable or configure in config.js");
@@ -21,16 +34,15 @@ export default async function runGSC(query, cfg, auth = null) {
   }
 
   try {
-    // Build the GSC request body
+    // Build the GSC request body (rowLimit/startRow are set per page)
     const requestBody = {
       startDate: query.dateRange.start,
       endDate: query.dateRange.end,
       dimensions: query.dimensions || [],
-      rowLimit: query.limit || gscConfig.pageSize || 1000,
-      startRow: query.startRow || 0,
       dimensionFilterGroups: buildDimensionFilters(query.filters),
       searchType: query.searchType || 'web',
       dataState: query.dataState || 'final',
+      aggregationType: query.aggregationType || 'auto',
     };
 
     // Add orderBy if specified in the query
@@ -41,28 +53,48 @@ export default async function runGSC(query, cfg, auth = null) {
       });
     }
 
+    // Total rows wanted across all pages, capped by the safety limit
+    const maxRows = cfg.limits?.maxRows || Infinity;
+    const targetRows = Math.min(query.limit || gscConfig.pageSize || 1000, maxRows);
+
     console.log(chalk.blue(`Querying GSC site ${siteUrl}...`));
     console.log(chalk.gray(`Request body:`, JSON.stringify(requestBody, null, 2)));
     
-    // Use direct OAuth2 client request like the working functions
-    const response = await auth.request({
+    // Every page request goes through the retrying wrapper
+    const sendQuery = (data) => requestWithRetry(auth, {
       url: `https://searchconsole.googleapis.com/webmasters/v3/sites/${encodeURIComponent(siteUrl)}/searchAnalytics/query`,
       method: 'POST',
-      data: requestBody
+      data
+    }, {
+      maxRuntimeMs: cfg.limits?.maxRuntimeMs,
+      signal: ctx.signal,
+      messages: {
+        401: `GSC authentication expired. Please re-authenticate with Google.`,
+        403: `GSC access denied. Check that your service account has access to site ${siteUrl} and has the "Search Console" role.`,
+        404: `GSC site ${siteUrl} not found. Check your site URL.`,
+        400: (message) => `Invalid GSC query: ${message}`,
+        429: (message) => `GSC API quota exceeded: ${message}`,
+        default: (message) => `GSC API error: ${message}`,
+      }
     });
     
-    // Transform response to array of objects
-    let rows = (response.data.rows || []).map(row => {
+    // Collects what the API reports about the data across all requests
+    const responseInfo = { firstIncompleteDate: null, aggregationType: null };
+    let rows;
+    if (query.chunkBy) {
+      rows = await fetchChunked(sendQuery, requestBody, query, targetRows, responseInfo);
+    } else {
+      const apiRows = await fetchAllPages(sendQuery, requestBody, targetRows, responseInfo, query.startRow || 0);
+      rows = apiRows.map(row => toRow(row, query.dimensions));
+    }
+    
+    // Keep only the selected metrics
+    rows = rows.map(row => {
       const result = {};
+      query.dimensions.forEach(dimension => {
+        result[dimension] = row[dimension];
+      });
       
-      // Add dimensions
-      if (row.keys) {
-        query.dimensions.forEach((dimension, index) => {
-          result[dimension] = row.keys[index] || '';
-        });
-      }
-      
-      // Add only the selected metrics
       if (query.metrics.includes('clicks') && row.clicks !== undefined) result.clicks = row.clicks;
       if (query.metrics.includes('impressions') && row.impressions !== undefined) result.impressions = row.impressions;
       if (query.metrics.includes('ctr') && row.ctr !== undefined) result.ctr = row.ctr;
@@ -71,72 +103,134 @@ export default async function runGSC(query, cfg, auth = null) {
       return result;
     });
 
-    console.log(chalk.gray(`GSC API returned ${rows.length} rows (requested limit: ${requestBody.rowLimit})`));
+    console.log(chalk.gray(`GSC API returned ${rows.length} rows (requested limit: ${targetRows})`));
 
-    // Apply client-side sorting if orderBys are specified
-    if (query.orderBys && query.orderBys.length > 0) {
-      rows = rows.sort((a, b) => {
-        for (const orderBy of query.orderBys) {
-          const fieldName = orderBy.metric || orderBy.dimension;
-          const aVal = a[fieldName] || 0;
-          const bVal = b[fieldName] || 0;
-          
-          if (aVal !== bVal) {
-            return orderBy.desc ? bVal - aVal : aVal - bVal;
-          }
-        }
-        return 0;
-      });
+    ctx.metadata.dataState = requestBody.dataState;
+    ctx.metadata.aggregationType = responseInfo.aggregationType || requestBody.aggregationType;
+    console.log(chalk.gray(`Clicks and impressions aggregated ${ctx.metadata.aggregationType}`));
+    if (requestBody.dataState === 'all') {
+      markFreshness(rows, query, responseInfo.firstIncompleteDate, ctx.metadata);
     }
 
+    // Sorting by query.orderBys is left to runQuery
     return rows;
     
   } catch (error) {
-    if (error.code === 403) {
-      throw new Error(`GSC access denied. Check that your service account has access to site ${siteUrl} and has the "Search Console" role.`);
-    } else if (error.code === 404) {
-      throw new Error(`GSC site ${siteUrl} not found. Check your site URL.`);
-    } else if (error.code === 400) {
-      throw new Error(`Invalid GSC query: ${error.message}`);
-    } else {
-      throw new Error(`GSC API error: ${error.message}`);
+    // API failures are already typed with a GSC specific message, and a
+    // timeout or cancellation should reach the caller as is
+    if (error instanceof GoogleApiError || ctx.signal?.aborted) {
+      throw error;
+    }
+    throw new Error(`GSC API error: ${error.message}`);
+  }
+}
+
+// Flag preliminary data. Rows can only be flagged individually when they are
+// broken down by date; otherwise the flag lives on the result metadata.
+function markFreshness(rows, query, firstIncompleteDate, metadata) {
+  const isPreliminary = (date) => Boolean(firstIncompleteDate) && date >= firstIncompleteDate;
+  
+  if (query.dimensions.includes('date')) {
+    rows.forEach(row => {
+      row.freshness = isPreliminary(row.date) ? 'preliminary' : 'final';
+    });
+  }
+  
+  metadata.firstIncompleteDate = firstIncompleteDate;
+  metadata.includesPreliminaryData = isPreliminary(query.dateRange.end);
+  
+  if (metadata.includesPreliminaryData) {
+    console.log(chalk.yellow(`Data from ${firstIncompleteDate} onwards is preliminary and may still change`));
+  }
+}
+
+// Transform an API row into an object keyed by dimension and metric names
+function toRow(row, dimensions) {
+  const result = {};
+  
+  // Add dimensions
+  if (row.keys) {
+    dimensions.forEach((dimension, index) => {
+      result[dimension] = row.keys[index] || '';
+    });
+  }
+  
+  for (const metric of ['clicks', 'impressions', 'ctr', 'position']) {
+    if (row[metric] !== undefined) result[metric] = row[metric];
+  }
+  
+  return result;
+}
+
+// Fetch the date range one window at a time and merge the windows. Shorter
+// ranges make the API drop fewer long-tail rows than one long range does.
+async function fetchChunked(sendQuery, requestBody, query, targetRows, responseInfo) {
+  const windows = splitDateRange(query.dateRange, query.chunkBy);
+  const rows = [];
+  
+  for (const [index, window] of windows.entries()) {
+    console.log(chalk.gray(`Fetching ${window.start} to ${window.end} (${query.chunkBy} ${index + 1} of ${windows.length})...`));
+    const apiRows = await fetchAllPages(
+      sendQuery,
+      { ...requestBody, startDate: window.start, endDate: window.end },
+      targetRows,
+      responseInfo
+    );
+    rows.push(...apiRows.map(row => toRow(row, query.dimensions)));
+  }
+  
+  // Windows overlap on every dimension except date, so sum them back up and
+  // keep the top rows by clicks like a single request would
+  return mergeRows(rows, query.dimensions)
+    .sort((a, b) => b.clicks - a.clicks)
+    .slice(0, targetRows);
+}
+
+// Page through searchAnalytics/query with startRow until we have targetRows,
+// the API returns a short page, or it runs out of rows
+async function fetchAllPages(sendQuery, requestBody, targetRows, responseInfo, startRow = 0) {
+  const rows = [];
+  let nextStartRow = startRow;
+
+  while (rows.length < targetRows) {
+    const rowLimit = Math.min(targetRows - rows.length, GSC_MAX_ROW_LIMIT);
+
+    const response = await sendQuery({ ...requestBody, rowLimit, startRow: nextStartRow });
+
+    const pageRows = response.data.rows || [];
+    rows.push(...pageRows);
+
+    // Only sent for dataState "all": the first day that is not final yet
+    const firstIncompleteDate = response.data.metadata?.first_incomplete_date;
+    if (firstIncompleteDate && (!responseInfo.firstIncompleteDate || firstIncompleteDate < responseInfo.firstIncompleteDate)) {
+      responseInfo.firstIncompleteDate = firstIncompleteDate;
+    }
+
+    // How clicks and impressions were counted ("auto" resolves to byPage or byProperty)
+    if (response.data.responseAggregationType) {
+      responseInfo.aggregationType = response.data.responseAggregationType;
+    }
+
+    if (pageRows.length < rowLimit) {
+      break;
     }
+
+    nextStartRow += pageRows.length;
+    console.log(chalk.gray(`Fetched ${rows.length} rows so far, requesting next page from row ${nextStartRow}...`));
   }
+
+  return rows;
 }
 
 function buildDimensionFilters(filters) {
   if (!filters || filters.length === 0) return undefined;
   
   const filterGroups = [];
+  
+  // Top-level dimension filters form one implicit "and" group
   const dimensionFilters = filters
-    .filter(f => f.type === "dimension")
-    .map(f => {
-      const filter = {
-        dimension: f.field,
-      };
-      
-      switch (f.op) {
-        case "eq":
-          filter.expression = f.value;
-          break;
-        case "neq":
-          filter.expression = f.value;
-          filter.operator = "notEquals";
-          break;
-        case "contains":
-          filter.expression = f.value;
-          filter.operator = "contains";
-          break;
-        case "regex":
-          filter.expression = f.value;
-          filter.operator = "regex";
-          break;
-        default:
-          throw new Error(`Unsupported dimension filter operator: ${f.op}`);
-      }
-      
-      return filter;
-    });
+    .filter(f => !isFilterGroup(f) && f.type === "dimension")
+    .map(buildDimensionFilter);
   
   if (dimensionFilters.length > 0) {
     filterGroups.push({
@@ -145,9 +239,63 @@ function buildDimensionFilters(filters) {
     });
   }
   
+  // The API ANDs groups together, so each explicit group becomes its own entry
+  filters.filter(isFilterGroup).forEach(group => {
+    if (group.groupType === "or") {
+      filterGroups.push({
+        filters: [buildOrFilter(group)],
+        groupType: "and"
+      });
+    } else {
+      filterGroups.push({
+        filters: group.filters.map(buildDimensionFilter),
+        groupType: "and"
+      });
+    }
+  });
+  
   return filterGroups.length > 0 ? filterGroups : undefined;
 }
 
+function buildDimensionFilter(f) {
+  const operator = GSC_FILTER_OPERATORS[f.op];
+  if (!operator) {
+    throw new Error(`Unsupported dimension filter operator: ${f.op}`);
+  }
+  
+  return {
+    dimension: f.field,
+    operator,
+    expression: String(f.value),
+  };
+}
+
+// The API does not evaluate "or" groups yet, so OR together the filters of a
+// group as alternatives of a single includingRegex (RE2) expression. This only
+// works for positive filters on one dimension, which validateQuery enforces.
+function buildOrFilter(group) {
+  const alternatives = group.filters.map(f => {
+    switch (f.op) {
+      case "eq":
+        return `^${escapeRegex(f.value)}$`;
+      case "contains":
+        // contains is not case-sensitive in GSC
+        return `(?i:${escapeRegex(f.value)})`;
+      case "regex":
+      case "includingRegex":
+        return `(?:${f.value})`;
+      default:
+        throw new Error(`Operator ${f.op} cannot be used in an "or" filter group`);
+    }
+  });
+  
+  return {
+    dimension: group.filters[0].field,
+    operator: "includingRegex",
+    expression: alternatives.join("|"),
+  };
+}
+
 // OAuth2 client setup and token management
 export async function getOAuth2Client(gscConfig) {
   const credentialsPath = gscConfig.credentialsFile || process.env.GSC_CREDENTIALS_FILE;
@@ -309,11 +457,12 @@ async function waitForCallback() {
   });
 }
 
-// Helper function to get available sites
-export async function getAvailableSites(cfg) {
+// Sites of the signed-in account: auth (e.g. the API user's OAuth client),
+// or the stored tokens of cfg.userId
+export async function getAvailableSites(cfg, auth = null) {
   const gscConfig = cfg.sources.searchconsole;
   
-  const auth = await getOAuth2Client(gscConfig);
+  auth = auth || await getOAuth2Client(gscConfig);
   
   // Ensure the auth client is properly authenticated
   await auth.getAccessToken();
@@ -337,24 +486,23 @@ export async function getAvailableSites(cfg) {
     
     // Use OAuth2 client's request method directly to bypass Google APIs client bug
     console.log("Making direct API call with OAuth2 client...");
-    const response = await auth.request({
+    const response = await requestWithRetry(auth, {
       url: 'https://searchconsole.googleapis.com/webmasters/v3/sites',
       method: 'GET'
+    }, {
+      maxRuntimeMs: cfg.limits?.maxRuntimeMs,
+      messages: {
+        401: `Authentication failed. Please re-authenticate by running the app and selecting "Authenticate with Google". Make sure you grant all requested permissions during the OAuth2 flow.`,
+        403: `Access denied. Make sure your Google account has access to Google Search Console properties.`,
+        default: (message) => `Failed to fetch GSC sites: ${message}`,
+      }
     });
     
     console.log("API call successful!");
     return response.data.siteEntry || [];
   } catch (error) {
     console.error("API call failed:", error.message);
-    console.error("Error code:", error.code);
-    console.error("Error status:", error.status);
-    
-    if (error.code === 401) {
-      throw new Error(`Authentication failed. Please re-authenticate by running the app and selecting "Authenticate with Google". Make sure you grant all requested permissions during the OAuth2 flow.`);
-    } else if (error.code === 403) {
-      throw new Error(`Access denied. Make sure your Google account has access to Google Search Console properties.`);
-    } else {
-      throw new Error(`Failed to fetch GSC sites: ${error.message}`);
-    }
+    console.error("Error status:", error.cause?.status ?? error.statusCode);
+    throw toGoogleApiError(error);
   }
 }
@@ -29,3 +29,7 @@ export function getPresetsForSource(source, cfg = config) {
     preset.source === source || preset.source === "any"
   );
 }
+
+export function getEnabledSources(cfg = config) {
+  return Object.keys(cfg.sources).filter(source => cfg.sources[source].enabled);
+}
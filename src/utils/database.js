@@ -3,6 +3,11 @@ import { join } from 'path';
 
 const DB_PATH = join(process.cwd(), 'gsc_auth.db');
 
+// Path of the database file, for connections opened outside this module
+export function getDatabasePath() {
+  return DB_PATH;
+}
+
 // Initialize database connection
 let db = null;
 
@@ -40,6 +45,39 @@ function initializeTables() {
       selected_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
   `);
+
+  // Create schema_cache table (introspected data source schemas)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_cache (
+      cache_key TEXT PRIMARY KEY,
+      schema TEXT NOT NULL,
+      fetched_at INTEGER NOT NULL
+    );
+  `);
+
+  // Create query_cache table (query results, see src/core/query-cache.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS query_cache (
+      cache_key TEXT PRIMARY KEY,
+      rows TEXT NOT NULL,
+      metadata TEXT NOT NULL,
+      stored_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+  `);
+
+  // Create warehouse_days table (days synced into the local warehouse, see src/core/warehouse.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS warehouse_days (
+      site_url TEXT NOT NULL,
+      table_name TEXT NOT NULL,
+      date TEXT NOT NULL,
+      data_state TEXT NOT NULL,
+      row_count INTEGER NOT NULL,
+      synced_at INTEGER NOT NULL,
+      PRIMARY KEY (site_url, table_name, date)
+    );
+  `);
 }
 
 // Store OAuth2 tokens for a user
@@ -104,6 +142,144 @@ export function getSiteForUser(userId) {
   return result ? result.site_url : null;
 }
 
+// Get a cached schema, or null when there is none younger than maxAgeMs
+export function getCachedSchema(cacheKey, maxAgeMs) {
+  const db = getDatabase();
+  
+  const stmt = db.prepare(`
+    SELECT schema FROM schema_cache 
+    WHERE cache_key = ? AND fetched_at > ?
+  `);
+  
+  const result = stmt.get(cacheKey, Date.now() - maxAgeMs);
+  return result ? JSON.parse(result.schema) : null;
+}
+
+// Store a schema in the cache
+export function storeCachedSchema(cacheKey, schema) {
+  const db = getDatabase();
+  
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO schema_cache 
+    (cache_key, schema, fetched_at)
+    VALUES (?, ?, ?)
+  `);
+  
+  return stmt.run(cacheKey, JSON.stringify(schema), Date.now());
+}
+
+// Get cached query results that have not expired, or null
+export function getCachedQuery(cacheKey) {
+  const db = getDatabase();
+  
+  const stmt = db.prepare(`
+    SELECT rows, metadata, stored_at, expires_at FROM query_cache 
+    WHERE cache_key = ? AND expires_at > ?
+  `);
+  
+  const result = stmt.get(cacheKey, Date.now());
+  return result ? {
+    rows: JSON.parse(result.rows),
+    metadata: JSON.parse(result.metadata),
+    storedAt: result.stored_at,
+    expiresAt: result.expires_at
+  } : null;
+}
+
+// Store query results for ttlMs, dropping expired entries
+export function storeCachedQuery(cacheKey, rows, metadata, ttlMs) {
+  const db = getDatabase();
+  const now = Date.now();
+  
+  db.prepare(`DELETE FROM query_cache WHERE expires_at <= ?`).run(now);
+  
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO query_cache 
+    (cache_key, rows, metadata, stored_at, expires_at)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  
+  return stmt.run(cacheKey, JSON.stringify(rows), JSON.stringify(metadata), now, now + ttlMs);
+}
+
+// Create the warehouse table of one dimension set. Table and column names
+// come from GSC dimension names, never from user input.
+export function ensureWarehouseTable(table, dimensions) {
+  const db = getDatabase();
+  const columns = dimensions.map(dimension => `"${dimension}" TEXT`).join(', ');
+  
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS "${table}" (
+      site_url TEXT NOT NULL,
+      date TEXT NOT NULL,
+      ${columns},
+      clicks INTEGER NOT NULL,
+      impressions INTEGER NOT NULL,
+      ctr REAL NOT NULL,
+      position REAL NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS "${table}_site_date" ON "${table}" (site_url, date);
+  `);
+}
+
+// Get the synced days of a warehouse table: [{date, data_state, row_count, synced_at}]
+export function getWarehouseDays(siteUrl, table) {
+  const db = getDatabase();
+  
+  const stmt = db.prepare(`
+    SELECT date, data_state, row_count, synced_at FROM warehouse_days 
+    WHERE site_url = ? AND table_name = ? 
+    ORDER BY date
+  `);
+  
+  return stmt.all(siteUrl, table);
+}
+
+// Replace the rows of one day in a warehouse table and record its data state
+export function replaceWarehouseDay(siteUrl, table, dimensions, date, rows, dataState) {
+  const db = getDatabase();
+  const columns = ['site_url', 'date', ...dimensions, 'clicks', 'impressions', 'ctr', 'position'];
+  
+  const deleteRows = db.prepare(`DELETE FROM "${table}" WHERE site_url = ? AND date = ?`);
+  const insertRow = db.prepare(`
+    INSERT INTO "${table}" (${columns.map(column => `"${column}"`).join(', ')})
+    VALUES (${columns.map(() => '?').join(', ')})
+  `);
+  const storeDay = db.prepare(`
+    INSERT OR REPLACE INTO warehouse_days 
+    (site_url, table_name, date, data_state, row_count, synced_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  
+  db.transaction(() => {
+    deleteRows.run(siteUrl, date);
+    rows.forEach(row => {
+      insertRow.run(siteUrl, date, ...dimensions.map(dimension => row[dimension]), row.clicks, row.impressions, row.ctr, row.position);
+    });
+    storeDay.run(siteUrl, table, date, dataState, rows.length, Date.now());
+  })();
+}
+
+// Sum up a warehouse table by groupBy (date and/or dimensions of the table)
+// over a date range, with impression-weighted ctr and position
+export function getWarehouseTotals(siteUrl, table, groupBy, dateRange) {
+  const db = getDatabase();
+  const columns = groupBy.map(column => `"${column}"`).join(', ');
+  
+  const stmt = db.prepare(`
+    SELECT ${columns},
+      SUM(clicks) AS clicks,
+      SUM(impressions) AS impressions,
+      CAST(SUM(clicks) AS REAL) / NULLIF(SUM(impressions), 0) AS ctr,
+      SUM(position * impressions) / NULLIF(SUM(impressions), 0) AS position
+    FROM "${table}" 
+    WHERE site_url = ? AND date BETWEEN ? AND ? 
+    GROUP BY ${columns}
+  `);
+  
+  return stmt.all(siteUrl, dateRange.start, dateRange.end);
+}
+
 // Close database connection
 export function closeDatabase() {
   if (db) {
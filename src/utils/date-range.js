@@ -0,0 +1,33 @@
+// Dates are handled as UTC calendar days in YYYY-MM-DD format
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+export function parseDate(value) {
+  return new Date(`${value}T00:00:00Z`);
+}
+
+export function addDays(value, days) {
+  return formatDate(new Date(parseDate(value).getTime() + days * DAY_MS));
+}
+
+/**
+ * Split a date range into consecutive windows of one day or one week.
+ * The last window is truncated to the end of the range.
+ */
+export function splitDateRange(dateRange, unit = "day") {
+  const step = unit === "week" ? 7 : 1;
+  const windows = [];
+
+  let start = dateRange.start;
+  while (start <= dateRange.end) {
+    const windowEnd = addDays(start, step - 1);
+    const end = windowEnd < dateRange.end ? windowEnd : dateRange.end;
+    windows.push({ start, end });
+    start = addDays(end, 1);
+  }
+
+  return windows;
+}
@@ -0,0 +1,91 @@
+/**
+ * Typed errors for failed Google API calls and queries. Most carry the HTTP
+ * status the API layer should answer with, so callers can map them without
+ * parsing messages.
+ */
+export class GoogleApiError extends Error {
+  constructor(message, { statusCode = 502, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+  }
+}
+
+// Rate limit or daily quota hit; retryAfterMs is set when Google said how long to wait
+export class QuotaExceededError extends GoogleApiError {
+  constructor(message, { retryAfterMs = null, cause } = {}) {
+    super(message, { statusCode: 429, cause });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Access token could not be used or refreshed; the user has to sign in again
+export class AuthExpiredError extends GoogleApiError {
+  constructor(message, { cause } = {}) {
+    super(message, { statusCode: 401, cause });
+  }
+}
+
+// Signed in, but without access to the requested property
+export class PermissionDeniedError extends GoogleApiError {
+  constructor(message, { cause } = {}) {
+    super(message, { statusCode: 403, cause });
+  }
+}
+
+// The request itself was rejected (bad dimensions, filters, dates...)
+export class InvalidQueryError extends GoogleApiError {
+  constructor(message, { cause } = {}) {
+    super(message, { statusCode: 400, cause });
+  }
+}
+
+/**
+ * Raised by runQuery (and warehouse SQL) when a query runs longer than
+ * cfg.limits.maxRuntimeMs; hint tells the user how to make it faster
+ */
+export class QueryTimeoutError extends Error {
+  constructor(maxRuntimeMs, hint = "Try a shorter date range, fewer dimensions or a lower limit.") {
+    super(`Query timed out after ${maxRuntimeMs / 1000}s (limits.maxRuntimeMs). ${hint}`);
+    this.name = this.constructor.name;
+    this.statusCode = 504;
+    this.maxRuntimeMs = maxRuntimeMs;
+  }
+}
+
+/**
+ * Raised when the caller aborts a running query (e.g. Ctrl+C in the CLI)
+ */
+export class QueryCancelledError extends Error {
+  constructor(message = "Query cancelled") {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Raised when a BigQuery dry run estimates more bytes than
+ * sources.bigquery.maximumBytesBilled. Rerun with overrideMaxBytesBilled to
+ * accept the cost.
+ */
+export class QueryCostLimitError extends Error {
+  constructor(message, { estimatedBytes, maximumBytesBilled } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = 400;
+    this.estimatedBytes = estimatedBytes;
+    this.maximumBytesBilled = maximumBytesBilled;
+  }
+}
+
+/**
+ * Raised for SQL the local warehouse refuses to run (not a single read-only
+ * SELECT) or SQLite cannot compile
+ */
+export class InvalidSQLError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.statusCode = 400;
+  }
+}
@@ -0,0 +1,153 @@
+import chalk from "chalk";
+import {
+  GoogleApiError,
+  QuotaExceededError,
+  AuthExpiredError,
+  PermissionDeniedError,
+  InvalidQueryError,
+} from "./errors.js";
+
+// Transient failures worth another attempt
+const RETRYABLE_STATUSES = [429, 500, 503];
+
+// Google reports some rate limits as 403 with one of these reasons
+const QUOTA_REASONS = ["rateLimitExceeded", "userRateLimitExceeded", "quotaExceeded", "dailyLimitExceeded"];
+
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_RUNTIME_MS = 120000;
+
+/**
+ * Send a request through an authenticated Google client, retrying rate limits
+ * and server errors with jittered exponential backoff. Retry-After is honoured
+ * when present. Retrying stops once the next wait would take the call past
+ * maxRuntimeMs. Aborting `signal` cancels the request or the wait and rejects
+ * with the signal's reason. Failures are raised as typed errors from
+ * ./errors.js; `messages` can override the message per HTTP status (or
+ * `default`), either as a string or as a function of the API's own message.
+ */
+export async function requestWithRetry(auth, options, settings = {}) {
+  const {
+    maxRuntimeMs = DEFAULT_MAX_RUNTIME_MS,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    messages = {},
+    signal,
+  } = settings;
+  const startedAt = Date.now();
+
+  for (let attempt = 0; ; attempt++) {
+    signal?.throwIfAborted();
+    try {
+      return await auth.request(signal ? { ...options, signal } : options);
+    } catch (error) {
+      // gaxios fails with its own AbortError; report why we aborted instead
+      signal?.throwIfAborted();
+
+      const status = getStatus(error);
+      if (!isRetryable(error, status) || attempt >= maxRetries) {
+        throw toGoogleApiError(error, messages);
+      }
+
+      const delay = getRetryAfterMs(error) ?? getBackoffMs(attempt, baseDelayMs);
+      if (Date.now() - startedAt + delay > maxRuntimeMs) {
+        throw toGoogleApiError(error, messages);
+      }
+
+      console.log(chalk.yellow(`Google API returned ${status}, retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1} of ${maxRetries})...`));
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Map a failed Google API call (gaxios error) to one of the typed errors
+ */
+export function toGoogleApiError(error, messages = {}) {
+  if (error instanceof GoogleApiError) return error;
+
+  const status = getStatus(error);
+  const message = pickMessage(messages, status, error) || getApiMessage(error);
+
+  if (status === 429 || QUOTA_REASONS.includes(getReason(error))) {
+    return new QuotaExceededError(pickMessage(messages, 429, error) || `Google API quota exceeded: ${getApiMessage(error)}`, {
+      retryAfterMs: getRetryAfterMs(error),
+      cause: error,
+    });
+  }
+  if (status === 401 || isInvalidGrant(error)) {
+    return new AuthExpiredError(message, { cause: error });
+  }
+  if (status === 403) {
+    return new PermissionDeniedError(message, { cause: error });
+  }
+  if (status === 400) {
+    return new InvalidQueryError(message, { cause: error });
+  }
+  return new GoogleApiError(pickMessage(messages, status, error) || pickMessage(messages, "default", error) || message, {
+    statusCode: status >= 500 ? 502 : status || 502,
+    cause: error,
+  });
+}
+
+function pickMessage(messages, key, error) {
+  const message = messages[key];
+  return typeof message === "function" ? message(getApiMessage(error)) : message;
+}
+
+function isRetryable(error, status) {
+  return RETRYABLE_STATUSES.includes(status) || (status === 403 && QUOTA_REASONS.includes(getReason(error)));
+}
+
+function getStatus(error) {
+  const status = error.response?.status ?? error.status ?? error.code;
+  return Number.isInteger(Number(status)) ? Number(status) : null;
+}
+
+function getReason(error) {
+  return error.response?.data?.error?.errors?.[0]?.reason;
+}
+
+function getApiMessage(error) {
+  return error.response?.data?.error?.message || error.message;
+}
+
+// A refresh token that was revoked or expired fails with invalid_grant
+function isInvalidGrant(error) {
+  return error.response?.data?.error === "invalid_grant" || /invalid_grant/.test(error.message || "");
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function getRetryAfterMs(error) {
+  const headers = error.response?.headers;
+  if (!headers) return null;
+
+  const value = typeof headers.get === "function" ? headers.get("retry-after") : headers["retry-after"];
+  if (value === undefined || value === null || value === "") return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with "equal jitter": half fixed, half random
+function getBackoffMs(attempt, baseDelayMs) {
+  const delay = baseDelayMs * 2 ** attempt;
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
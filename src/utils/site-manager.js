@@ -1,6 +1,7 @@
 import chalk from 'chalk';
 import { getAvailableSites } from '../datasources/searchconsole.js';
 import { getSiteForUser, storeSiteForUser } from './database.js';
+import { GoogleApiError } from './errors.js';
 import config from '../../config.js';
 
 /**
@@ -31,11 +32,12 @@ export function saveSelectedSite(siteUrl) {
 }
 
 /**
- * Get available sites and filter for verified properties only
+ * Get available sites and filter for verified properties only. Pass auth to
+ * list the sites of that OAuth client's account instead of config.userId's.
  */
-export async function getVerifiedSites(cfg) {
+export async function getVerifiedSites(cfg, auth = null) {
   try {
-    const sites = await getAvailableSites(cfg);
+    const sites = await getAvailableSites(cfg, auth);
     
     // Filter for verified properties only (permissionLevel: 'siteOwner' or 'siteFullUser')
     const verifiedSites = sites.filter(site => 
@@ -44,6 +46,10 @@ export async function getVerifiedSites(cfg) {
     
     return verifiedSites;
   } catch (error) {
+    // Keep the error type so callers can tell quota and auth failures apart
+    if (error instanceof GoogleApiError) {
+      throw error;
+    }
     throw new Error(`Failed to fetch sites: ${error.message}`);
   }
 }
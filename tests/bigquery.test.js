@@ -1,5 +1,9 @@
 import { describe, it, expect, vi, beforeEach } from "vitest";
-import runBQ from "../src/datasources/bigquery.js";
+import runBQ, { describeTable } from "../src/datasources/bigquery.js";
+import { QueryCostLimitError } from "../src/utils/errors.js";
+import { getCachedSchema, storeCachedSchema } from "../src/utils/database.js";
+import { getDatasource, getCapabilities } from "../src/datasources/index.js";
+import { validateQuery } from "../src/cli/validators.js";
 
 // Mock the BigQuery client
 vi.mock("@google-cloud/bigquery", () => ({
@@ -8,6 +12,12 @@ vi.mock("@google-cloud/bigquery", () => ({
   })),
 }));
 
+// Keep the schema cache out of the real SQLite database
+vi.mock("../src/utils/database.js", () => ({
+  getCachedSchema: vi.fn(),
+  storeCachedSchema: vi.fn(),
+}));
+
 describe("BigQuery Data Source", () => {
   let mockClient;
   let mockCreateQueryJob;
@@ -70,7 +80,7 @@ describe("BigQuery Data Source", () => {
     });
 
     expect(mockCreateQueryJob).toHaveBeenCalledWith({
-      query: expect.stringContaining("SELECT `event_name`, `page_location`, `event_count`"),
+      query: expect.stringContaining("SELECT `event_name`, `page_location`, SUM(`event_count`) AS `event_count`"),
       params: {
         start_date: "2024-01-01",
         end_date: "2024-01-31",
@@ -200,7 +210,9 @@ describe("BigQuery Data Source", () => {
         start_date: "2024-01-01",
         end_date: "2024-01-31",
         limit: 100,
+        p_query: "example search",
       }),
+      types: { p_query: "STRING" },
     });
   });
 
@@ -244,4 +256,423 @@ describe("BigQuery Data Source", () => {
       }),
     });
   });
+
+  it("should query the bulk export tables in bulk export mode", async () => {
+    const query = {
+      dateRange: { start: "2024-01-01", end: "2024-01-31" },
+      metrics: ["clicks", "position"],
+      dimensions: ["page", "date"],
+      limit: 100,
+      orderBys: [{ metric: "clicks", desc: true }],
+      filters: [{ type: "dimension", field: "page", op: "contains", value: "/blog/" }],
+      searchType: "image",
+    };
+
+    const config = {
+      sources: {
+        bigquery: {
+          projectId: "test-project",
+          dataset: "searchconsole",
+          location: "US",
+          exportSchema: "bulk",
+        },
+      },
+    };
+
+    const mockJob = {
+      getQueryResults: vi.fn().mockResolvedValue([[
+        { page: "https://example.com/blog/a", date: { value: "2024-01-02" }, clicks: 4, position: 2.5 },
+      ]]),
+    };
+    mockCreateQueryJob.mockResolvedValue([mockJob]);
+
+    const result = await runBQ(query, config);
+
+    const { query: sql, params } = mockCreateQueryJob.mock.calls[0][0];
+    expect(sql).toContain("SELECT `url` AS `page`, `data_date` AS `date`, SUM(`clicks`) AS `clicks`, SAFE_DIVIDE(SUM(`sum_position`), SUM(`impressions`)) + 1 AS `position`");
+    expect(sql).toContain("GROUP BY `page`, `date`");
+    expect(sql).toContain("FROM `test-project.searchconsole.searchdata_url_impression`");
+    expect(sql).toContain("WHERE data_date BETWEEN CAST(@start_date AS DATE) AND CAST(@end_date AS DATE)");
+    expect(sql).toContain("AND `url` LIKE '%' || @p_page || '%'");
+    expect(sql).not.toContain("_TABLE_SUFFIX");
+    expect(params.search_type).toBe("IMAGE");
+    expect(result).toEqual([
+      { page: "https://example.com/blog/a", date: "2024-01-02", clicks: 4, position: 2.5 },
+    ]);
+  });
+
+  it("should use the site table and top position for property-level bulk export queries", async () => {
+    const query = {
+      dateRange: { start: "2024-01-01", end: "2024-01-31" },
+      metrics: ["position"],
+      dimensions: ["query"],
+      limit: 100,
+      orderBys: [],
+      filters: [],
+    };
+
+    const config = {
+      sources: {
+        bigquery: { projectId: "test-project", dataset: "searchconsole", exportSchema: "bulk" },
+      },
+    };
+
+    mockCreateQueryJob.mockResolvedValue([{ getQueryResults: vi.fn().mockResolvedValue([[]]) }]);
+
+    await runBQ(query, config);
+
+    const { query: sql } = mockCreateQueryJob.mock.calls[0][0];
+    expect(sql).toContain("SAFE_DIVIDE(SUM(`sum_top_position`), SUM(`impressions`)) + 1 AS `position`");
+    expect(sql).toContain("FROM `test-project.searchconsole.searchdata_site_impression`");
+    expect(sql).toContain("AND is_anonymized_query = FALSE");
+
+    await expect(runBQ({ ...query, dimensions: ["searchAppearance"] }, config)).rejects.toThrow(
+      "Field(s) searchAppearance not available in the bulk export schema"
+    );
+  });
+
+  it("should aggregate metrics per dimension combination like the GSC API", async () => {
+    const query = {
+      dateRange: { start: "2024-01-01", end: "2024-01-31" },
+      metrics: ["clicks", "impressions", "ctr", "position"],
+      dimensions: ["query"],
+      limit: 100,
+      orderBys: [],
+      filters: [],
+    };
+
+    const config = {
+      sources: {
+        bigquery: { projectId: "test-project", dataset: "gsc_data" },
+      },
+    };
+
+    mockCreateQueryJob.mockResolvedValue([{ getQueryResults: vi.fn().mockResolvedValue([[]]) }]);
+
+    await runBQ(query, config);
+
+    const { query: sql } = mockCreateQueryJob.mock.calls[0][0];
+    expect(sql).toContain(
+      "SELECT `query`, SUM(`clicks`) AS `clicks`, SUM(`impressions`) AS `impressions`, " +
+      "SAFE_DIVIDE(SUM(`clicks`), SUM(`impressions`)) AS `ctr`, " +
+      "SAFE_DIVIDE(SUM(`position` * `impressions`), SUM(`impressions`)) AS `position`"
+    );
+    expect(sql).toContain("GROUP BY `query`");
+    expect(sql).toContain("ORDER BY `clicks` DESC");
+  });
+
+  it("should dry run the query and report estimated and billed bytes", async () => {
+    const query = {
+      dateRange: { start: "2024-01-01", end: "2024-01-31" },
+      metrics: ["clicks"],
+      dimensions: ["query"],
+      limit: 100,
+      orderBys: [],
+      filters: [],
+    };
+
+    const config = {
+      sources: {
+        bigquery: { projectId: "test-project", dataset: "gsc_data", maximumBytesBilled: 1000000 },
+      },
+    };
+
+    const dryRunJob = { metadata: { statistics: { totalBytesProcessed: "2048" } } };
+    const mockJob = {
+      getQueryResults: vi.fn().mockResolvedValue([[{ query: "shoes", clicks: 3 }]]),
+      getMetadata: vi.fn().mockResolvedValue([{ statistics: { query: { totalBytesBilled: "10485760" } } }]),
+    };
+    mockCreateQueryJob.mockResolvedValueOnce([dryRunJob]).mockResolvedValueOnce([mockJob]);
+
+    const ctx = {};
+    await runBQ(query, config, ctx);
+
+    expect(mockCreateQueryJob).toHaveBeenCalledTimes(2);
+    expect(mockCreateQueryJob.mock.calls[0][0]).toMatchObject({ dryRun: true });
+    expect(mockCreateQueryJob.mock.calls[1][0]).toMatchObject({ maximumBytesBilled: "1000000" });
+    expect(mockCreateQueryJob.mock.calls[1][0]).not.toHaveProperty("dryRun");
+    expect(ctx.metadata).toEqual({ bytesEstimated: 2048, bytesBilled: 10485760 });
+  });
+
+  it("should refuse queries estimated above maximumBytesBilled unless overridden", async () => {
+    const query = {
+      dateRange: { start: "2024-01-01", end: "2024-12-31" },
+      metrics: ["clicks"],
+      dimensions: ["query"],
+      limit: 100,
+      orderBys: [],
+      filters: [],
+    };
+
+    const config = {
+      sources: {
+        bigquery: { projectId: "test-project", dataset: "gsc_data", maximumBytesBilled: 1024 ** 3 },
+      },
+    };
+
+    const dryRunJob = { metadata: { statistics: { totalBytesProcessed: String(5 * 1024 ** 3) } } };
+    mockCreateQueryJob.mockResolvedValue([dryRunJob]);
+
+    const error = await runBQ(query, config).catch(e => e);
+    expect(error).toBeInstanceOf(QueryCostLimitError);
+    expect(error.message).toContain("Query would process about 5.0 GB, more than sources.bigquery.maximumBytesBilled (1.0 GB)");
+    expect(error).toMatchObject({ statusCode: 400, estimatedBytes: 5 * 1024 ** 3, maximumBytesBilled: 1024 ** 3 });
+    expect(mockCreateQueryJob).toHaveBeenCalledTimes(1);
+
+    const mockJob = { getQueryResults: vi.fn().mockResolvedValue([[]]), getMetadata: vi.fn().mockResolvedValue([{}]) };
+    mockCreateQueryJob.mockReset();
+    mockCreateQueryJob.mockResolvedValueOnce([dryRunJob]).mockResolvedValueOnce([mockJob]);
+
+    await runBQ(query, config, { overrideMaxBytesBilled: true });
+
+    expect(mockCreateQueryJob).toHaveBeenCalledTimes(2);
+    expect(mockCreateQueryJob.mock.calls[1][0]).not.toHaveProperty("maximumBytesBilled");
+  });
+
+  it("should bind every filter value as a typed parameter", async () => {
+    const query = {
+      dateRange: { start: "2024-01-01", end: "2024-01-31" },
+      metrics: ["clicks"],
+      dimensions: ["query"],
+      limit: 100,
+      orderBys: [],
+      filters: [
+        { type: "dimension", field: "query", op: "contains", value: "shoes" },
+        { type: "dimension", field: "query", op: "notContains", value: "cheap" },
+        { type: "dimension", field: "device", op: "in", value: ["MOBILE", "TABLET"] },
+        { type: "dimension", field: "country", op: "notIn", value: ["usa"] },
+        { type: "dimension", field: "date", op: "between", value: ["2024-01-05", "2024-01-10"] },
+        { groupType: "or", filters: [
+          { type: "dimension", field: "query", op: "eq", value: "red shoes" },
+          { type: "dimension", field: "query", op: "eq", value: "blue shoes" },
+        ] },
+        { type: "metric", field: "clicks", op: "gt", value: 10 },
+      ],
+    };
+
+    const config = {
+      sources: {
+        bigquery: { projectId: "test-project", dataset: "gsc_data" },
+      },
+    };
+
+    mockCreateQueryJob.mockResolvedValue([{ getQueryResults: vi.fn().mockResolvedValue([[]]) }]);
+
+    await runBQ(query, config);
+
+    const { query: sql, params, types } = mockCreateQueryJob.mock.calls[1][0];
+    expect(sql).toContain(
+      "AND `query` LIKE '%' || @p_query || '%' AND `query` NOT LIKE '%' || @p_query_1 || '%'" +
+      " AND `device` IN UNNEST(@p_device) AND `country` NOT IN UNNEST(@p_country)" +
+      " AND `date` BETWEEN @p_date AND @p_date_1" +
+      " AND (`query` = @p_query_2 OR `query` = @p_query_3)"
+    );
+    // Metric filters are applied after the fetch, not in SQL
+    expect(sql).not.toContain("@p_clicks");
+    expect(params).toEqual({
+      start_date: "2024-01-01",
+      end_date: "2024-01-31",
+      limit: 100,
+      p_query: "shoes",
+      p_query_1: "cheap",
+      p_device: ["MOBILE", "TABLET"],
+      p_country: ["usa"],
+      p_date: "2024-01-05",
+      p_date_1: "2024-01-10",
+      p_query_2: "red shoes",
+      p_query_3: "blue shoes",
+    });
+    expect(types).toEqual({
+      p_query: "STRING",
+      p_query_1: "STRING",
+      p_device: ["STRING"],
+      p_country: ["STRING"],
+      p_date: "DATE",
+      p_date_1: "DATE",
+      p_query_2: "STRING",
+      p_query_3: "STRING",
+    });
+  });
+
+  it("should type numeric filter values as INT64 or FLOAT64", async () => {
+    const query = {
+      dateRange: { start: "2024-01-01", end: "2024-01-31" },
+      metrics: ["clicks"],
+      dimensions: ["page"],
+      limit: 100,
+      orderBys: [],
+      filters: [
+        { type: "dimension", field: "page_depth", op: "in", value: [1, 2, 3] },
+        { type: "dimension", field: "load_time", op: "lt", value: 2.5 },
+        { type: "dimension", field: "page", op: "eq", value: 404 },
+      ],
+    };
+
+    const config = {
+      sources: {
+        bigquery: { projectId: "test-project", dataset: "gsc_data" },
+      },
+    };
+
+    mockCreateQueryJob.mockResolvedValue([{ getQueryResults: vi.fn().mockResolvedValue([[]]) }]);
+
+    await runBQ(query, config);
+
+    const { params, types } = mockCreateQueryJob.mock.calls[1][0];
+    expect(params).toMatchObject({ p_page_depth: [1, 2, 3], p_load_time: 2.5, p_page: 404 });
+    expect(types).toEqual({ p_page_depth: ["INT64"], p_load_time: "FLOAT64", p_page: "INT64" });
+  });
+
+  it("should introspect the dataset's tables and cache them", async () => {
+    const config = {
+      sources: {
+        bigquery: { projectId: "test-project", dataset: "gsc_data", tables: { pages: "pages" } },
+      },
+    };
+
+    mockClient.query = vi.fn().mockResolvedValue([[
+      { table_name: "gsc_data_20240101", column_name: "query", data_type: "STRING" },
+      { table_name: "gsc_data_20240102", column_name: "query", data_type: "STRING" },
+      { table_name: "gsc_data_20240102", column_name: "clicks", data_type: "INT64" },
+      { table_name: "pages", column_name: "date", data_type: "DATE" },
+      { table_name: "pages", column_name: "page", data_type: "STRING" },
+      { table_name: "pages", column_name: "sessions", data_type: "INT64" },
+      { table_name: "pages", column_name: "bounce_rate", data_type: "FLOAT64" },
+      { table_name: "pages", column_name: "tags", data_type: "ARRAY<STRING>" },
+    ]]);
+
+    const schema = await describeTable(config, "pages");
+
+    expect(mockClient.query.mock.calls[0][0].query).toContain("FROM `test-project.gsc_data.INFORMATION_SCHEMA.COLUMNS`");
+    expect(schema).toMatchObject({
+      table: "pages",
+      metrics: ["sessions", "bounce_rate"],
+      dimensions: ["date", "page"],
+    });
+    // Day shards are stored once, with the columns of the newest shard
+    const [cacheKey, tables] = storeCachedSchema.mock.calls[0];
+    expect(cacheKey).toBe("bigquery:test-project.gsc_data");
+    expect(Object.keys(tables)).toEqual(["gsc_data_*", "pages"]);
+    expect(tables["gsc_data_*"]).toEqual([
+      { name: "query", type: "STRING" },
+      { name: "clicks", type: "INT64" },
+    ]);
+
+    // Served from the cache next time
+    getCachedSchema.mockReturnValueOnce(tables);
+    await expect(describeTable(config, "missing")).rejects.toThrow(
+      "Table missing not found in the BigQuery dataset. Available tables: gsc_data_*, pages"
+    );
+    expect(mockClient.query).toHaveBeenCalledTimes(1);
+  });
+
+  it("should offer the fields of the bulk export's URL table by default", async () => {
+    const config = {
+      sources: {
+        bigquery: { projectId: "test-project", dataset: "searchconsole", exportSchema: "bulk", tables: {} },
+      },
+    };
+
+    getCachedSchema.mockReturnValueOnce({
+      searchdata_url_impression: [
+        { name: "data_date", type: "DATE" },
+        { name: "url", type: "STRING" },
+        { name: "query", type: "STRING" },
+        { name: "is_anonymized_query", type: "BOOL" },
+        { name: "country", type: "STRING" },
+        { name: "search_type", type: "STRING" },
+        { name: "device", type: "STRING" },
+        { name: "is_amp_top_stories", type: "BOOL" },
+        { name: "impressions", type: "INT64" },
+        { name: "clicks", type: "INT64" },
+        { name: "sum_position", type: "INT64" },
+      ],
+    });
+
+    const capabilities = await getCapabilities(getDatasource("bigquery"), {}, { cfg: config });
+
+    expect(capabilities.dimensions).toEqual(["date", "query", "page", "country", "device"]);
+    expect(capabilities.metrics).toEqual(["clicks", "impressions", "ctr", "position"]);
+    const query = {
+      dateRange: { start: "2024-01-01", end: "2024-01-31" },
+      metrics: ["clicks"],
+      dimensions: ["search_appearance"],
+      orderBys: [],
+      filters: [],
+      limit: 100,
+    };
+    expect(validateQuery(query, { ...getDatasource("bigquery"), capabilities }))
+      .toContain("Dimension(s) search_appearance not supported by source bigquery");
+  });
+
+  it("should query custom tables by their introspected columns", async () => {
+    const query = {
+      dateRange: { start: "2024-01-01", end: "2024-01-31" },
+      metrics: ["sessions"],
+      dimensions: ["page"],
+      limit: 100,
+      orderBys: [],
+      filters: [],
+      table: "pages",
+    };
+
+    const config = {
+      sources: {
+        bigquery: { projectId: "test-project", dataset: "gsc_data", tables: { pages: "pages" } },
+      },
+    };
+
+    getCachedSchema.mockReturnValueOnce({
+      pages: [
+        { name: "date", type: "DATE" },
+        { name: "page", type: "STRING" },
+        { name: "sessions", type: "INT64" },
+      ],
+    });
+    mockCreateQueryJob.mockResolvedValue([{ getQueryResults: vi.fn().mockResolvedValue([[]]) }]);
+
+    await runBQ(query, config);
+
+    const { query: sql } = mockCreateQueryJob.mock.calls[0][0];
+    expect(sql).toContain("SELECT `page`, SUM(`sessions`) AS `sessions`");
+    expect(sql).toContain("FROM `test-project.gsc_data.pages`");
+    expect(sql).toContain("WHERE `date` BETWEEN CAST(@start_date AS DATE) AND CAST(@end_date AS DATE)");
+    expect(sql).toContain("GROUP BY `page`");
+  });
+
+  it("should run SQL presets with only the parameters they use", async () => {
+    const query = {
+      dateRange: { start: "2024-01-01", end: "2024-01-31" },
+      metrics: [],
+      dimensions: [],
+      limit: 100,
+      orderBys: [],
+      filters: [],
+      sql: "SELECT date, page, revenue FROM `{{project}}.{{dataset}}.pages` WHERE date >= @start_date AND page LIKE @prefix",
+      sqlParams: [{ name: "prefix", type: "STRING", default: "/blog/%" }],
+      variables: {},
+    };
+
+    const config = {
+      sources: {
+        bigquery: { projectId: "test-project", dataset: "gsc_data" },
+      },
+    };
+
+    // DATE and NUMERIC columns are returned as objects
+    mockCreateQueryJob.mockResolvedValue([{
+      getQueryResults: vi.fn().mockResolvedValue([[
+        { date: { value: "2024-01-02" }, page: "/blog/a", revenue: { toNumber: () => 12.5 } },
+      ]]),
+    }]);
+
+    const result = await runBQ(query, config);
+
+    expect(result).toEqual([{ date: "2024-01-02", page: "/blog/a", revenue: 12.5 }]);
+    expect(mockCreateQueryJob).toHaveBeenLastCalledWith({
+      query: "SELECT date, page, revenue FROM `test-project.gsc_data.pages` WHERE date >= @start_date AND page LIKE @prefix",
+      params: { start_date: "2024-01-01", prefix: "/blog/%" },
+      types: { start_date: "DATE", prefix: "STRING" },
+    });
+  });
 });
@@ -0,0 +1,52 @@
+import { describe, it, expect } from "vitest";
+import { getComparisonRange, compareRows } from "../src/core/compare.js";
+
+describe("Period Comparison", () => {
+  it("should compare with the days right before the range", () => {
+    expect(getComparisonRange({ start: "2024-03-01", end: "2024-03-07" }, "previous")).toEqual({
+      start: "2024-02-23",
+      end: "2024-02-29",
+    });
+  });
+
+  it("should compare with the same dates a year earlier", () => {
+    expect(getComparisonRange({ start: "2024-02-01", end: "2024-02-29" }, "yoy")).toEqual({
+      start: "2023-02-01",
+      end: "2023-02-28",
+    });
+  });
+
+  it("should add previous values, deltas and a status to every row", () => {
+    const current = [
+      { query: "shoes", device: "MOBILE", clicks: 15, position: 2 },
+      { query: "boots", device: "MOBILE", clicks: 4, position: 8 },
+    ];
+    const previous = [
+      { query: "shoes", device: "MOBILE", clicks: 10, position: 3 },
+      { query: "shoes", device: "DESKTOP", clicks: 6, position: 5 },
+    ];
+
+    const result = compareRows(current, previous, { dimensions: ["query", "device"], metrics: ["clicks", "position"] });
+
+    expect(result).toEqual([
+      {
+        query: "shoes", device: "MOBILE",
+        clicks: 15, clicks_prev: 10, clicks_delta: 5, clicks_delta_pct: 50,
+        position: 2, position_prev: 3, position_delta: -1, position_delta_pct: expect.closeTo(-33.333, 3),
+        status: "retained",
+      },
+      {
+        query: "boots", device: "MOBILE",
+        clicks: 4, clicks_prev: 0, clicks_delta: 4, clicks_delta_pct: null,
+        position: 8, position_prev: null, position_delta: null, position_delta_pct: null,
+        status: "new",
+      },
+      {
+        query: "shoes", device: "DESKTOP",
+        clicks: 0, clicks_prev: 6, clicks_delta: -6, clicks_delta_pct: -100,
+        position: null, position_prev: 5, position_delta: null, position_delta_pct: null,
+        status: "lost",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect, vi } from "vitest";
+import { getContentGroup, runWithContentGroups } from "../src/core/content-groups.js";
+import { getDatasource, getCapabilities } from "../src/datasources/index.js";
+
+const rules = [
+  { name: "blog", pattern: "/blog/" },
+  { name: "product", pattern: "/products?/" },
+];
+
+describe("Content Groups", () => {
+  it("should put pages in the first group whose pattern matches", () => {
+    expect(getContentGroup("https://example.com/blog/products-we-love", rules)).toBe("blog");
+    expect(getContentGroup("https://example.com/product/42", rules)).toBe("product");
+    expect(getContentGroup("https://example.com/about", rules)).toBe("other");
+  });
+
+  it("should fetch by page and sum up the metrics per group", async () => {
+    const run = vi.fn().mockResolvedValue([
+      { device: "MOBILE", page: "https://example.com/blog/a", clicks: 10, impressions: 100, ctr: 0.1, position: 2 },
+      { device: "MOBILE", page: "https://example.com/blog/b", clicks: 20, impressions: 300, ctr: 0.067, position: 6 },
+      { device: "MOBILE", page: "https://example.com/products/c", clicks: 5, impressions: 50, ctr: 0.1, position: 1 },
+      { device: "DESKTOP", page: "https://example.com/blog/a", clicks: 1, impressions: 10, ctr: 0.1, position: 3 },
+    ]);
+
+    const rows = await runWithContentGroups({
+      dimensions: ["contentGroup", "device"],
+      metrics: ["clicks", "ctr", "position"],
+      filters: [
+        { type: "dimension", field: "page", op: "notContains", value: "?" },
+        { groupType: "or", filters: [
+          { type: "dimension", field: "contentGroup", op: "eq", value: "blog" },
+          { type: "dimension", field: "contentGroup", op: "eq", value: "docs" },
+        ] },
+      ],
+      limit: 10,
+    }, rules, 25000, run);
+
+    expect(run).toHaveBeenCalledWith(expect.objectContaining({
+      dimensions: ["device", "page"],
+      metrics: ["clicks", "impressions", "ctr", "position"],
+      filters: [{ type: "dimension", field: "page", op: "notContains", value: "?" }],
+      limit: 25000,
+    }));
+    expect(rows).toEqual([
+      { contentGroup: "blog", device: "MOBILE", clicks: 30, ctr: 0.075, position: 5 },
+      { contentGroup: "blog", device: "DESKTOP", clicks: 1, ctr: 0.1, position: 3 },
+    ]);
+  });
+
+  it("should offer contentGroup for Search Console when groups are configured", async () => {
+    const datasource = getDatasource("searchconsole");
+    const withGroups = await getCapabilities(datasource, {}, { cfg: { sources: { searchconsole: { contentGroups: rules } } } });
+    const withoutGroups = await getCapabilities(datasource, {}, { cfg: { sources: { searchconsole: {} } } });
+
+    expect(withGroups.dimensions).toContain("contentGroup");
+    expect(withoutGroups.dimensions).not.toContain("contentGroup");
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from "vitest";
+import { parseExpression, evaluate } from "../src/core/expression.js";
+import { resolveMetrics, applyDerivedMetrics, validateDerivedMetrics, getAvailableDerivedMetrics } from "../src/core/derived-metrics.js";
+
+const cfg = {
+  derivedMetrics: {
+    clicks_share: { formula: "clicks / total(clicks) * 100" },
+    expected_ctr: { formula: "0.3 * pow(max(position, 1), -1.1)" },
+    ctr_gap: { formula: "ctr - expected_ctr" },
+  },
+};
+
+const calc = (formula, row = {}) => evaluate(parseExpression(formula), row);
+
+describe("Derived Metrics", () => {
+  it("should evaluate formulas with precedence, nulls and functions", () => {
+    expect(calc("1 + 2 * 3 - -4 / 2")).toBe(9);
+    expect(calc("(clicks + 1) % 4", { clicks: 6 })).toBe(3);
+    expect(calc("clicks / impressions", { clicks: 1, impressions: 0 })).toBeNull();
+    expect(calc("clicks * 2", {})).toBeNull();
+    expect(calc("round(ctr * 100, 1)", { ctr: 0.12345 })).toBe(12.3);
+    expect(calc(`if(position <= 3, "top", 'other')`, { position: 2.5 })).toBe("top");
+    expect(calc("if(position <= 3, 1, 0)", {})).toBeNull();
+  });
+
+  it("should reject formulas outside the expression language", () => {
+    expect(() => parseExpression("process.exit(1)")).toThrow();
+    expect(() => parseExpression("require('fs')")).toThrow("Unknown function require()");
+    expect(() => parseExpression("clicks +")).toThrow("Unexpected end of formula");
+    expect(() => parseExpression("pow(clicks)")).toThrow("pow() takes 2 argument(s)");
+    expect(validateDerivedMetrics({
+      derivedMetrics: {
+        a: { formula: "b * 2" },
+        b: { formula: "clicks" },
+        position: { formula: "1" },
+        c: { formula: "(" },
+      },
+    })).toEqual([
+      "Derived metric a can only use derived metrics defined before it (not b)",
+      "position is not a valid derived metric name (letters, digits and _, not a base metric)",
+      "Invalid formula for derived metric c: Unexpected end of formula",
+    ]);
+  });
+
+  it("should fetch the base metrics derived metrics need and compute them in order", () => {
+    expect(resolveMetrics(["clicks", "ctr_gap"], cfg)).toEqual({
+      metrics: ["clicks", "ctr", "position"],
+      derivedMetrics: [
+        { name: "expected_ctr", formula: cfg.derivedMetrics.expected_ctr.formula },
+        { name: "ctr_gap", formula: cfg.derivedMetrics.ctr_gap.formula },
+      ],
+    });
+
+    const rows = applyDerivedMetrics([{ clicks: 1, ctr: 0.5, position: 1 }, { clicks: 3, ctr: 0.1, position: 0.5 }],
+      resolveMetrics(["clicks_share", "ctr_gap"], cfg).derivedMetrics);
+    expect(rows.map(row => row.clicks_share)).toEqual([25, 75]);
+    expect(rows.map(row => row.ctr_gap)).toEqual([expect.closeTo(0.2, 5), expect.closeTo(-0.2, 5)]);
+
+    expect(getAvailableDerivedMetrics(cfg, ["clicks", "impressions"]).map(metric => metric.name)).toEqual(["clicks_share"]);
+  });
+});
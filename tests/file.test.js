@@ -0,0 +1,109 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import AdmZip from "adm-zip";
+import runFile, { listFiles } from "../src/datasources/file.js";
+
+describe("File Data Source", () => {
+  let dir;
+  let config;
+
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "gsc-file-"));
+    config = {
+      sources: {
+        file: { enabled: true, dirs: [dir] },
+      },
+      limits: { maxRows: 100000 },
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  function query(overrides) {
+    return {
+      dateRange: { start: "2024-01-01", end: "2024-01-31" },
+      metrics: ["clicks", "impressions", "ctr", "position"],
+      dimensions: ["query"],
+      orderBys: [],
+      filters: [],
+      limit: 1000,
+      ...overrides,
+    };
+  }
+
+  it("should read the matching table from a Search Console UI ZIP export", async () => {
+    const zip = new AdmZip();
+    zip.addFile("Queries.csv", Buffer.from(
+      "Top queries,Clicks,Impressions,CTR,Position\nshoes,10,200,5%,3.2\nboots,30,300,10%,1.5\n"
+    ));
+    zip.addFile("Devices.csv", Buffer.from(
+      "Device,Clicks,Impressions,CTR,Position\nMobile,25,400,6.25%,2.1\nDesktop,15,100,15%,2.9\n"
+    ));
+    zip.writeZip(path.join(dir, "export.zip"));
+
+    const result = await runFile(query({ file: "export.zip", dimensions: ["device"] }), config);
+
+    expect(result).toEqual([
+      { device: "MOBILE", clicks: 25, impressions: 400, ctr: 0.0625, position: 2.1 },
+      { device: "DESKTOP", clicks: 15, impressions: 100, ctr: 0.15, position: 2.9 },
+    ]);
+  });
+
+  it("should filter and re-aggregate saved results to the requested dimensions", async () => {
+    fs.writeFileSync(path.join(dir, "saved.json"), JSON.stringify([
+      { query: "red shoes", device: "MOBILE", clicks: 10, impressions: 100, ctr: 0.1, position: 2 },
+      { query: "red shoes", device: "DESKTOP", clicks: 5, impressions: 300, ctr: 0.0167, position: 6 },
+      { query: "Blue Shoes", device: "MOBILE", clicks: 8, impressions: 40, ctr: 0.2, position: 1 },
+      { query: "boots", device: "MOBILE", clicks: 50, impressions: 500, ctr: 0.1, position: 4 },
+    ]));
+
+    const result = await runFile(query({
+      file: "saved.json",
+      filters: [{ type: "dimension", field: "query", op: "contains", value: "shoes" }],
+      limit: 1,
+    }), config);
+
+    expect(result).toEqual([
+      { query: "red shoes", clicks: 15, impressions: 400, ctr: 15 / 400, position: 5 },
+    ]);
+  });
+
+  it("should only keep rows in the date range when the file has dates", async () => {
+    fs.writeFileSync(path.join(dir, "dates.csv"),
+      "date,clicks\n2023-12-31,99\n2024-01-01,10\n2024-01-31,20\n2024-02-01,99\n");
+
+    const result = await runFile(query({ file: "dates.csv", metrics: ["clicks"], dimensions: ["date"] }), config);
+
+    expect(result).toEqual([
+      { date: "2024-01-31", clicks: 20 },
+      { date: "2024-01-01", clicks: 10 },
+    ]);
+  });
+
+  it("should not read files outside the configured folders", async () => {
+    await expect(runFile(query({ file: "../../etc/passwd" }), config)).rejects.toThrow(
+      "File not found: ../../etc/passwd"
+    );
+  });
+
+  it("should list the readable files of every configured folder", () => {
+    const other = fs.mkdtempSync(path.join(os.tmpdir(), "gsc-file-"));
+    fs.writeFileSync(path.join(dir, "b.csv"), "query,clicks\n");
+    fs.writeFileSync(path.join(dir, "notes.txt"), "");
+    fs.writeFileSync(path.join(other, "a.json"), "[]");
+    fs.writeFileSync(path.join(other, "b.csv"), "query,clicks\n");
+    config.sources.file.dirs.push(other, path.join(dir, "missing"));
+
+    try {
+      expect(listFiles(config)).toEqual(["a.json", "b.csv"]);
+    } finally {
+      fs.rmSync(other, { recursive: true, force: true });
+    }
+  });
+});
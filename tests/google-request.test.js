@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { requestWithRetry } from "../src/utils/google-request.js";
+import { QuotaExceededError, AuthExpiredError, InvalidQueryError } from "../src/utils/errors.js";
+
+// Shape of the errors thrown by gaxios for a failed HTTP request
+function apiError(status, { headers = {}, reason, message = `HTTP ${status}` } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.response = {
+    status,
+    headers,
+    data: { error: { code: status, message, errors: reason ? [{ reason }] : [] } },
+  };
+  return error;
+}
+
+describe("Google request wrapper", () => {
+  let auth;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(Math, "random").mockReturnValue(0);
+    auth = { request: vi.fn() };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("should retry server errors with exponential backoff", async () => {
+    auth.request
+      .mockRejectedValueOnce(apiError(503))
+      .mockRejectedValueOnce(apiError(500))
+      .mockResolvedValueOnce({ data: { rows: [] } });
+
+    const promise = requestWithRetry(auth, { url: "https://example.com" }, { baseDelayMs: 1000 });
+
+    // With no jitter the waits are 500ms and then 1000ms
+    await vi.advanceTimersByTimeAsync(500);
+    expect(auth.request).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(1000);
+
+    await expect(promise).resolves.toEqual({ data: { rows: [] } });
+    expect(auth.request).toHaveBeenCalledTimes(3);
+  });
+
+  it("should wait for Retry-After before retrying a rate limit", async () => {
+    auth.request
+      .mockRejectedValueOnce(apiError(429, { headers: { "retry-after": "7" } }))
+      .mockResolvedValueOnce({ data: {} });
+
+    const promise = requestWithRetry(auth, { url: "https://example.com" });
+
+    await vi.advanceTimersByTimeAsync(6999);
+    expect(auth.request).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+
+    await expect(promise).resolves.toEqual({ data: {} });
+  });
+
+  it("should give up with QuotaExceededError when retrying would pass maxRuntimeMs", async () => {
+    auth.request.mockRejectedValue(apiError(429, { headers: { "retry-after": "30" } }));
+
+    const promise = requestWithRetry(auth, { url: "https://example.com" }, { maxRuntimeMs: 10000 });
+
+    await expect(promise).rejects.toBeInstanceOf(QuotaExceededError);
+    await expect(promise).rejects.toMatchObject({ statusCode: 429, retryAfterMs: 30000 });
+    expect(auth.request).toHaveBeenCalledTimes(1);
+  });
+
+  it("should treat 403 rate limit reasons as quota errors", async () => {
+    auth.request
+      .mockRejectedValueOnce(apiError(403, { reason: "userRateLimitExceeded" }))
+      .mockResolvedValueOnce({ data: {} });
+
+    const promise = requestWithRetry(auth, { url: "https://example.com" }, { baseDelayMs: 100 });
+    await vi.advanceTimersByTimeAsync(50);
+
+    await expect(promise).resolves.toEqual({ data: {} });
+  });
+
+  it("should map client errors to typed errors without retrying", async () => {
+    auth.request.mockRejectedValueOnce(apiError(401));
+    await expect(requestWithRetry(auth, {})).rejects.toBeInstanceOf(AuthExpiredError);
+
+    auth.request.mockRejectedValueOnce(apiError(400, { message: "Unknown dimension" }));
+    await expect(requestWithRetry(auth, {}, {
+      messages: { 400: (message) => `Invalid GSC query: ${message}` },
+    })).rejects.toThrow(new InvalidQueryError("Invalid GSC query: Unknown dimension"));
+
+    expect(auth.request).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from "vitest";
+import express from "express";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { generateToken } from "../src/api/auth-middleware.js";
+import { runWarehouseSQL } from "../src/core/warehouse-sql.js";
+
+// Sites of each Google account, by access token
+const SITES = {
+  "token-1": [{ siteUrl: "https://one.example/", permissionLevel: "siteOwner" }],
+  "token-2": [{ siteUrl: "https://two.example/", permissionLevel: "siteFullUser" }],
+};
+
+let credentialsFile;
+
+vi.mock("../src/utils/config.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  loadConfig: () => ({
+    userId: 1,
+    sources: { searchconsole: { credentialsFile } },
+    limits: { maxRows: 100, maxRuntimeMs: 60000 },
+  }),
+}));
+
+// Keep the routes out of the real SQLite database
+vi.mock("../src/utils/database.js", () => ({
+  getDatabase: vi.fn(),
+  getTokensForUser: vi.fn((userId) => ({
+    access_token: `token-${userId}`,
+    scope: "https://www.googleapis.com/auth/webmasters.readonly",
+    token_type: "Bearer",
+    expiry_date: Date.now() + 60 * 60 * 1000,
+  })),
+}));
+
+vi.mock("../src/api/auth-middleware.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  cleanupExpiredSessions: vi.fn(),
+}));
+
+vi.mock("../src/datasources/searchconsole.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  getAvailableSites: vi.fn(async (cfg, auth) => SITES[auth?.credentials.access_token] || []),
+}));
+
+vi.mock("../src/core/warehouse-sql.js", () => ({
+  runWarehouseSQL: vi.fn(async () => ({ columns: [], rows: [], truncated: false })),
+}));
+
+describe("API routes", () => {
+  let dir;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "gsc-api-"));
+    credentialsFile = path.join(dir, "client_secret.json");
+    fs.writeFileSync(credentialsFile, JSON.stringify({
+      web: { client_id: "client", client_secret: "secret", redirect_uris: ["http://localhost:8888/callback"] },
+    }));
+
+    const { default: router } = await import("../src/api/jwt-routes.js");
+    const app = express();
+    app.use(express.json());
+    app.use("/", router);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => {
+    server?.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it("should run warehouse SQL over the sites of the signed-in user only", async () => {
+    const sql = (userId) => fetch(`${baseUrl}/api/sql`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${generateToken(userId)}` },
+      body: JSON.stringify({ sql: "SELECT 1" }),
+    }).then(response => response.json());
+
+    expect((await sql(1)).sites).toEqual(["https://one.example/"]);
+    expect((await sql(2)).sites).toEqual(["https://two.example/"]);
+    expect(runWarehouseSQL.mock.calls.map(call => call[2].siteUrls)).toEqual([
+      ["https://one.example/"],
+      ["https://two.example/"],
+    ]);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import { getCacheKey, getCacheTtl } from "../src/core/query-cache.js";
+import { getDatasource } from "../src/datasources/index.js";
+
+describe("Query Cache", () => {
+  const query = {
+    source: "searchconsole",
+    dateRange: { start: "2024-01-01", end: "2024-01-31" },
+    metrics: ["clicks"],
+    dimensions: ["query"],
+    dataState: "final",
+  };
+  const cacheConfig = { recentTtlMs: 60000, historicTtlMs: 3600000 };
+
+  it("should key results by user, source scope and query", () => {
+    const scope = { siteUrl: "https://example.com/" };
+    const key = getCacheKey(query, { userId: 1, scope });
+
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(getCacheKey({ ...query }, { userId: 1, scope: { ...scope } })).toBe(key);
+    expect(getCacheKey(query, { userId: 2, scope })).not.toBe(key);
+    expect(getCacheKey(query, { userId: 1, scope: { siteUrl: "https://example.org/" } })).not.toBe(key);
+    expect(getCacheKey({ ...query, limit: 10 }, { userId: 1, scope })).not.toBe(key);
+  });
+
+  it("should key BigQuery results by dataset and content group results by their rules", () => {
+    const bqQuery = { ...query, source: "bigquery" };
+    const bqConfig = { sources: { bigquery: { projectId: "p", dataset: "gsc", exportSchema: "sharded", tables: {} } } };
+    const bqKey = (cfg) => getCacheKey(bqQuery, { userId: 1, scope: getDatasource("bigquery").cacheScope(bqQuery, cfg) });
+
+    expect(bqKey({ sources: { bigquery: { ...bqConfig.sources.bigquery, dataset: "gsc_other" } } })).not.toBe(bqKey(bqConfig));
+    expect(bqKey({ sources: { bigquery: { ...bqConfig.sources.bigquery, exportSchema: "bulk" } } })).not.toBe(bqKey(bqConfig));
+
+    const groupQuery = { ...query, dimensions: ["contentGroup"], filters: [] };
+    const groupConfig = (pattern) => ({ sources: { searchconsole: { siteUrl: "https://example.com/", contentGroups: [{ name: "blog", pattern }] } } });
+    const groupKey = (cfg) => getCacheKey(groupQuery, { userId: 1, scope: getDatasource("searchconsole").cacheScope(groupQuery, cfg) });
+
+    expect(groupKey(groupConfig("/news/"))).not.toBe(groupKey(groupConfig("/blog/")));
+  });
+
+  it("should keep final historic data longer than recent or fresh data", () => {
+    expect(getCacheTtl(query, cacheConfig, "2024-03-01")).toBe(3600000);
+    expect(getCacheTtl(query, cacheConfig, "2024-02-03")).toBe(60000);
+    expect(getCacheTtl({ ...query, dataState: "all" }, cacheConfig, "2024-03-01")).toBe(60000);
+  });
+});
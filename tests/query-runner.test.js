@@ -1,5 +1,8 @@
 import { describe, it, expect, vi, beforeEach } from "vitest";
 import { runQuery } from "../src/core/query-runner.js";
+import { QueryTimeoutError, QueryCancelledError } from "../src/utils/errors.js";
+import { registerDatasource } from "../src/datasources/index.js";
+import { getCachedQuery, storeCachedQuery } from "../src/utils/database.js";
 
 // Mock the data sources
 vi.mock("../src/datasources/searchconsole.js", () => ({
@@ -8,6 +11,17 @@ vi.mock("../src/datasources/searchconsole.js", () => ({
 
 vi.mock("../src/datasources/bigquery.js", () => ({
   default: vi.fn(),
+  // Columns of the sharded gsc_data_* export
+  describeDefaultTable: vi.fn(async () => ({
+    metrics: ["clicks", "impressions", "ctr", "position"],
+    dimensions: ["date", "query", "page", "country", "device", "search_appearance"],
+  })),
+}));
+
+// Keep the query cache out of the real SQLite database
+vi.mock("../src/utils/database.js", () => ({
+  getCachedQuery: vi.fn(),
+  storeCachedQuery: vi.fn(),
 }));
 
 describe("Query Runner", () => {
@@ -269,4 +283,531 @@ describe("Query Runner", () => {
       "Query validation failed"
     );
   });
+
+  it("should pass searchType through to the GSC data source", async () => {
+    const answers = {
+      source: "searchconsole",
+      action: "adhoc",
+      searchType: "image",
+      metrics: ["clicks"],
+      dimensions: ["query"],
+      dateRangeType: "last7",
+      limit: 100,
+    };
+
+    const config = {
+      sources: {
+        searchconsole: { enabled: true },
+      },
+      limits: { maxRows: 100000 },
+    };
+
+    mockRunGSC.mockResolvedValue([]);
+
+    await runQuery(answers, config);
+
+    expect(mockRunGSC.mock.calls[0][0].searchType).toBe("image");
+  });
+
+  it("should reject dimensions a search type does not support", async () => {
+    const answers = {
+      source: "searchconsole",
+      action: "adhoc",
+      searchType: "discover",
+      metrics: ["clicks"],
+      dimensions: ["query"],
+      dateRangeType: "last7",
+      limit: 100,
+    };
+
+    const config = {
+      sources: {
+        searchconsole: { enabled: true },
+      },
+      limits: { maxRows: 100000 },
+    };
+
+    await expect(runQuery(answers, config)).rejects.toThrow(
+      'Dimension(s) query not supported for searchType "discover"'
+    );
+    expect(mockRunGSC).not.toHaveBeenCalled();
+  });
+
+  it("should apply metric filters after fetching and before the limit", async () => {
+    const answers = {
+      source: "searchconsole",
+      action: "adhoc",
+      metrics: ["clicks"],
+      dimensions: ["query"],
+      dateRangeType: "last7",
+      limit: 2,
+      filters: [
+        { type: "dimension", field: "query", op: "contains", value: "shoe" },
+        { type: "metric", field: "position", op: "between", value: [4, 20] },
+      ],
+    };
+
+    const config = {
+      sources: {
+        searchconsole: { enabled: true },
+      },
+      limits: { maxRows: 100000 },
+    };
+
+    mockRunGSC.mockResolvedValue([
+      { query: "shoes", clicks: 50, position: 2 },
+      { query: "red shoes", clicks: 40, position: 4 },
+      { query: "shoe store", clicks: 30, position: 25 },
+      { query: "blue shoes", clicks: 20, position: 12.5 },
+      { query: "shoe laces", clicks: 10, position: 8 },
+    ]);
+
+    const result = await runQuery(answers, config);
+
+    const sourceQuery = mockRunGSC.mock.calls[0][0];
+    expect(sourceQuery.limit).toBe(100000);
+    expect(sourceQuery.metrics).toEqual(["clicks", "position"]);
+    expect(sourceQuery.filters).toEqual([answers.filters[0]]);
+    expect(result).toEqual([
+      { query: "red shoes", clicks: 40 },
+      { query: "blue shoes", clicks: 20 },
+    ]);
+  });
+
+  it("should reject byProperty aggregation for page data", async () => {
+    const answers = {
+      source: "searchconsole",
+      action: "adhoc",
+      aggregationType: "byProperty",
+      metrics: ["clicks"],
+      dimensions: ["page"],
+      dateRangeType: "last7",
+      limit: 100,
+    };
+
+    const config = {
+      sources: {
+        searchconsole: { enabled: true },
+      },
+      limits: { maxRows: 100000 },
+    };
+
+    await expect(runQuery(answers, config)).rejects.toThrow(
+      'aggregationType "byProperty" cannot be used when grouping or filtering by page'
+    );
+  });
+
+  it("should time out after cfg.limits.maxRuntimeMs and abort the source", async () => {
+    vi.useFakeTimers();
+    const answers = {
+      source: "searchconsole",
+      action: "adhoc",
+      metrics: ["clicks"],
+      dimensions: ["query"],
+      dateRangeType: "last7",
+      limit: 100,
+    };
+
+    const config = {
+      sources: {
+        searchconsole: { enabled: true },
+      },
+      limits: { maxRows: 100000, maxRuntimeMs: 5000 },
+    };
+
+    // A source that never finishes on its own
+    mockRunGSC.mockReturnValue(new Promise(() => {}));
+
+    const promise = runQuery(answers, config);
+    const assertion = expect(promise).rejects.toBeInstanceOf(QueryTimeoutError);
+    await vi.advanceTimersByTimeAsync(5000);
+    await assertion;
+
+    const { signal } = mockRunGSC.mock.calls[0][3];
+    expect(signal.aborted).toBe(true);
+    vi.useRealTimers();
+  });
+
+  it("should cancel the query when the caller's signal aborts", async () => {
+    const answers = {
+      source: "searchconsole",
+      action: "adhoc",
+      metrics: ["clicks"],
+      dimensions: ["query"],
+      dateRangeType: "last7",
+      limit: 100,
+    };
+
+    const config = {
+      sources: {
+        searchconsole: { enabled: true },
+      },
+      limits: { maxRows: 100000, maxRuntimeMs: 120000 },
+    };
+
+    mockRunGSC.mockReturnValue(new Promise(() => {}));
+
+    const controller = new AbortController();
+    const promise = runQuery(answers, config, null, { signal: controller.signal });
+    controller.abort(new QueryCancelledError());
+
+    await expect(promise).rejects.toBeInstanceOf(QueryCancelledError);
+  });
+
+  it("should run registered data sources and sort their rows", async () => {
+    const run = vi.fn().mockResolvedValue([
+      { team: "b", tickets: 3 },
+      { team: "a", tickets: 7 },
+    ]);
+    registerDatasource({
+      id: "test-tickets",
+      capabilities: { metrics: ["tickets"], dimensions: ["team"], operators: ["eq"], maxRows: 10 },
+      run,
+    });
+
+    const answers = {
+      source: "test-tickets",
+      action: "adhoc",
+      metrics: ["tickets"],
+      dimensions: ["team"],
+      orderBys: [{ metric: "tickets", desc: true }],
+      dateRangeType: "last7",
+      limit: 500,
+    };
+
+    const config = {
+      sources: {},
+      limits: { maxRows: 100000 },
+    };
+
+    const result = await runQuery(answers, config);
+
+    expect(result).toEqual([
+      { team: "a", tickets: 7 },
+      { team: "b", tickets: 3 },
+    ]);
+    const [query, ctx] = run.mock.calls[0];
+    expect(query.limit).toBe(10);
+    expect(ctx.cfg).toBe(config);
+  });
+
+  it("should reject fields a data source does not support", async () => {
+    const answers = {
+      source: "bigquery",
+      action: "adhoc",
+      metrics: ["clicks"],
+      dimensions: ["searchAppearance"],
+      dateRangeType: "last7",
+      limit: 100,
+      filters: [{ type: "dimension", field: "query", op: "notAnOperator", value: "x" }],
+    };
+
+    const config = {
+      sources: {
+        bigquery: { enabled: true },
+      },
+      limits: { maxRows: 100000 },
+    };
+
+    await expect(runQuery(answers, config)).rejects.toThrow(
+      "Unsupported dimension filter operator: notAnOperator, Dimension(s) searchAppearance not supported by source bigquery"
+    );
+    expect(mockRunBQ).not.toHaveBeenCalled();
+  });
+
+  it("should validate queries against the columns of their table", async () => {
+    const run = vi.fn().mockResolvedValue([]);
+    const describe = vi.fn(async (query) => query.table === "pages"
+      ? { metrics: ["sessions"], dimensions: ["page"], operators: ["eq"], maxRows: null }
+      : null);
+    registerDatasource({
+      id: "test-warehouse",
+      capabilities: { metrics: ["clicks"], dimensions: ["query"], operators: ["eq"], maxRows: null },
+      describe,
+      run,
+    });
+
+    const answers = {
+      source: "test-warehouse",
+      action: "adhoc",
+      table: "pages",
+      metrics: ["sessions"],
+      dimensions: ["page"],
+      dateRangeType: "last7",
+      limit: 100,
+    };
+
+    const config = {
+      sources: {},
+      limits: { maxRows: 100000 },
+    };
+
+    await runQuery(answers, config);
+    expect(run.mock.calls[0][0].table).toBe("pages");
+
+    await expect(runQuery({ ...answers, table: undefined }, config)).rejects.toThrow(
+      "Metric(s) sessions not supported by source test-warehouse"
+    );
+  });
+
+  it("should compare the query with the previous period", async () => {
+    const run = vi.fn(async (query) => query.dateRange.start === "2024-02-01"
+      ? [{ page: "/a", clicks: 30 }, { page: "/new", clicks: 5 }]
+      : [{ page: "/a", clicks: 20 }, { page: "/lost", clicks: 8 }]);
+    registerDatasource({
+      id: "test-compare",
+      capabilities: { metrics: ["clicks"], dimensions: ["page", "date"], operators: ["eq"], maxRows: null },
+      run,
+    });
+
+    const answers = {
+      source: "test-compare",
+      action: "compare",
+      compareTo: "previous",
+      metrics: ["clicks"],
+      dimensions: ["page"],
+      orderBys: [{ metric: "clicks", desc: true }],
+      dateRangeType: "custom",
+      customStartDate: "2024-02-01",
+      customEndDate: "2024-02-29",
+      limit: 100,
+    };
+
+    const config = {
+      sources: {},
+      limits: { maxRows: 100000 },
+    };
+    const ctx = {};
+
+    const result = await runQuery(answers, config, null, ctx);
+
+    expect(result.map(row => [row.page, row.clicks, row.clicks_prev, row.status])).toEqual([
+      ["/a", 30, 20, "retained"],
+      ["/new", 5, 0, "new"],
+      ["/lost", 0, 8, "lost"],
+    ]);
+    expect(run.mock.calls[1][0].dateRange).toEqual({ start: "2024-01-03", end: "2024-01-31" });
+    expect(ctx.metadata.comparison).toMatchObject({ compareTo: "previous", dateRange: { start: "2024-01-03", end: "2024-01-31" } });
+
+    await expect(runQuery({ ...answers, dimensions: ["date"] }, config)).rejects.toThrow(
+      "Comparisons cannot use the date dimension"
+    );
+  });
+
+  it("should apply the limit to the compared rows, not to each period", async () => {
+    const rows = {
+      "2024-02-01": [{ page: "/a", clicks: 30 }, { page: "/b", clicks: 10 }, { page: "/c", clicks: 9 }],
+      "2024-01-03": [{ page: "/c", clicks: 50 }, { page: "/a", clicks: 20 }, { page: "/b", clicks: 15 }],
+    };
+    const run = vi.fn(async (query) => rows[query.dateRange.start].slice(0, query.limit));
+    registerDatasource({
+      id: "test-compare-limit",
+      capabilities: { metrics: ["clicks"], dimensions: ["page"], operators: ["eq"], maxRows: null },
+      run,
+    });
+
+    const result = await runQuery({
+      source: "test-compare-limit",
+      action: "compare",
+      compareTo: "previous",
+      metrics: ["clicks"],
+      dimensions: ["page"],
+      orderBys: [{ metric: "clicks", desc: true }],
+      dateRangeType: "custom",
+      customStartDate: "2024-02-01",
+      customEndDate: "2024-02-29",
+      limit: 2,
+    }, { sources: {}, limits: { maxRows: 1000 } });
+
+    // "/b" is outside the previous period's top 2 but was not new
+    expect(result.map(row => [row.page, row.clicks, row.clicks_prev, row.status])).toEqual([
+      ["/a", 30, 20, "retained"],
+      ["/b", 10, 15, "retained"],
+    ]);
+    expect(run.mock.calls.map(([query]) => query.limit)).toEqual([1000, 1000]);
+  });
+
+  it("should apply metric filters to the compared rows, not to each period", async () => {
+    const rows = {
+      "2024-02-01": [{ page: "/a", clicks: 6, impressions: 150 }, { page: "/b", clicks: 1, impressions: 20 }],
+      "2024-01-03": [{ page: "/a", clicks: 4, impressions: 90 }, { page: "/b", clicks: 9, impressions: 300 }],
+    };
+    const run = vi.fn(async (query) => rows[query.dateRange.start]);
+    registerDatasource({
+      id: "test-compare-filter",
+      capabilities: { metrics: ["clicks", "impressions"], dimensions: ["page"], operators: ["eq"], maxRows: null },
+      run,
+    });
+
+    const result = await runQuery({
+      source: "test-compare-filter",
+      action: "compare",
+      compareTo: "previous",
+      metrics: ["clicks"],
+      dimensions: ["page"],
+      filters: [{ type: "metric", field: "impressions", op: "gt", value: 100 }],
+      orderBys: [{ metric: "clicks", desc: true }],
+      dateRangeType: "custom",
+      customStartDate: "2024-02-01",
+      customEndDate: "2024-02-29",
+      limit: 10,
+    }, { sources: {}, limits: { maxRows: 1000 } });
+
+    // "/a" only passes the filter now, but had clicks before; "/b" only passed it before
+    expect(result).toEqual([
+      { page: "/a", clicks: 6, clicks_prev: 4, clicks_delta: 2, clicks_delta_pct: 50, status: "retained" },
+    ]);
+    expect(run.mock.calls.every(([query]) => query.filters.length === 0)).toBe(true);
+  });
+
+  it("should sort by derived metrics after computing them", async () => {
+    const run = vi.fn().mockResolvedValue([
+      { page: "/a", clicks: 1, impressions: 100 },
+      { page: "/b", clicks: 5, impressions: 10 },
+      { page: "/c", clicks: 2, impressions: 5 },
+    ]);
+    registerDatasource({
+      id: "test-derived-order",
+      capabilities: { metrics: ["clicks", "impressions"], dimensions: ["page"], operators: ["eq"], maxRows: null },
+      run,
+    });
+
+    const result = await runQuery({
+      source: "test-derived-order",
+      action: "adhoc",
+      metrics: ["click_rate"],
+      dimensions: ["page"],
+      orderBys: [{ metric: "click_rate", desc: true }],
+      dateRangeType: "last7",
+      limit: 2,
+    }, {
+      sources: {},
+      derivedMetrics: { click_rate: { formula: "clicks / impressions" } },
+      limits: { maxRows: 1000 },
+    });
+
+    expect(result.map(row => [row.page, row.click_rate])).toEqual([["/b", 0.5], ["/c", 0.4]]);
+    // The source can't order by click_rate, so it returns all rows for runQuery to sort
+    expect(run.mock.calls[0][0]).toMatchObject({ orderBys: [], limit: 1000 });
+  });
+
+  it("should compute total() over the same rows with or without metric filters", async () => {
+    const rows = [
+      { page: "/a", clicks: 6, impressions: 100 },
+      { page: "/b", clicks: 3, impressions: 10 },
+      { page: "/c", clicks: 1, impressions: 200 },
+    ];
+    const run = vi.fn(async (query) => rows.slice(0, query.limit));
+    registerDatasource({
+      id: "test-totals",
+      capabilities: { metrics: ["clicks", "impressions"], dimensions: ["page"], operators: ["eq"], maxRows: null },
+      run,
+    });
+
+    const answers = {
+      source: "test-totals",
+      action: "adhoc",
+      metrics: ["clicks_share"],
+      dimensions: ["page"],
+      orderBys: [{ metric: "clicks", desc: true }],
+      dateRangeType: "last7",
+      limit: 1,
+    };
+    const config = {
+      sources: {},
+      derivedMetrics: { clicks_share: { formula: "clicks / total(clicks) * 100" } },
+      limits: { maxRows: 1000 },
+    };
+
+    const unfiltered = await runQuery(answers, config);
+    const filtered = await runQuery({ ...answers, filters: [{ type: "metric", field: "impressions", op: "gt", value: 50 }] }, config);
+
+    expect(unfiltered.map(row => [row.page, row.clicks_share])).toEqual([["/a", 60]]);
+    expect(filtered.map(row => [row.page, row.clicks_share])).toEqual([["/a", 60]]);
+  });
+
+  it("should answer repeated queries from the cache unless noCache is set", async () => {
+    const run = vi.fn().mockResolvedValue([{ team: "a", tickets: 7 }]);
+    registerDatasource({
+      id: "test-cached",
+      capabilities: { metrics: ["tickets"], dimensions: ["team"], operators: ["eq"], maxRows: null },
+      run,
+    });
+
+    const answers = {
+      source: "test-cached",
+      action: "adhoc",
+      metrics: ["tickets"],
+      dimensions: ["team"],
+      dateRangeType: "custom",
+      customStartDate: "2024-01-01",
+      customEndDate: "2024-01-31",
+      limit: 100,
+    };
+
+    const config = {
+      userId: 1,
+      sources: {},
+      cache: { enabled: true, recentTtlMs: 60000, historicTtlMs: 3600000 },
+      limits: { maxRows: 100000 },
+    };
+
+    const miss = {};
+    expect(await runQuery(answers, config, null, miss)).toEqual([{ team: "a", tickets: 7 }]);
+    expect(miss.metadata.cache.status).toBe("miss");
+    const [cacheKey, rows, , ttlMs] = storeCachedQuery.mock.calls[0];
+    expect(rows).toEqual([{ team: "a", tickets: 7 }]);
+    expect(ttlMs).toBe(3600000);
+
+    getCachedQuery.mockImplementation((key) => key === cacheKey
+      ? { rows: [{ team: "a", tickets: 5 }], metadata: {}, storedAt: Date.now(), expiresAt: Date.now() + ttlMs }
+      : null);
+
+    const hit = {};
+    expect(await runQuery(answers, config, null, hit)).toEqual([{ team: "a", tickets: 5 }]);
+    expect(hit.metadata.cache.status).toBe("hit");
+
+    // Other users get their own entries
+    expect(await runQuery(answers, config, null, { userId: 2 })).toEqual([{ team: "a", tickets: 7 }]);
+
+    const bypass = { noCache: true };
+    expect(await runQuery(answers, config, null, bypass)).toEqual([{ team: "a", tickets: 7 }]);
+    expect(bypass.metadata.cache.status).toBe("bypass");
+    expect(run).toHaveBeenCalledTimes(3);
+  });
+
+  it("should compute derived metrics from the base metrics they need", async () => {
+    const run = vi.fn().mockResolvedValue([
+      { page: "/a", clicks: 30, impressions: 100 },
+      { page: "/b", clicks: 10, impressions: 400 },
+    ]);
+    registerDatasource({
+      id: "test-derived",
+      capabilities: { metrics: ["clicks", "impressions"], dimensions: ["page"], operators: ["eq"], maxRows: null },
+      run,
+    });
+
+    const config = {
+      sources: {},
+      limits: { maxRows: 100000 },
+      derivedMetrics: {
+        clicks_share: { formula: "clicks / total(clicks) * 100" },
+        weak: { formula: 'if(clicks_share < 50, "yes", "no")' },
+      },
+    };
+
+    const rows = await runQuery({
+      source: "test-derived",
+      metrics: ["weak", "impressions"],
+      dimensions: ["page"],
+      orderBys: [{ metric: "clicks_share", desc: false }],
+      dateRangeType: "last7",
+    }, config);
+
+    expect(run.mock.calls[0][0].metrics).toEqual(["impressions", "clicks"]);
+    expect(rows).toEqual([
+      { page: "/b", clicks: 10, impressions: 400, clicks_share: 25, weak: "yes" },
+      { page: "/a", clicks: 30, impressions: 100, clicks_share: 75, weak: "no" },
+    ]);
+  });
 });
@@ -0,0 +1,213 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import runGSC from "../src/datasources/searchconsole.js";
+
+// Build a fake API page of `count` rows starting at `offset`
+function makeRows(count, offset = 0) {
+  return Array.from({ length: count }, (_, i) => ({
+    keys: [`query ${offset + i}`],
+    clicks: 10,
+    impressions: 100,
+    ctr: 0.1,
+    position: 3,
+  }));
+}
+
+describe("Search Console Data Source", () => {
+  let mockAuth;
+  let config;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    delete process.env.GSC_SITE_URL;
+
+    mockAuth = { request: vi.fn() };
+    config = {
+      sources: {
+        searchconsole: {
+          siteUrl: "https://example.com/",
+          pageSize: 1000,
+        },
+      },
+      limits: { maxRows: 100000 },
+    };
+  });
+
+  it("should page through startRow until the limit is reached", async () => {
+    const query = {
+      dateRange: { start: "2024-01-01", end: "2024-01-31" },
+      metrics: ["clicks"],
+      dimensions: ["query"],
+      limit: 60000,
+      orderBys: [],
+      filters: [],
+    };
+
+    mockAuth.request
+      .mockResolvedValueOnce({ data: { rows: makeRows(25000) } })
+      .mockResolvedValueOnce({ data: { rows: makeRows(25000, 25000) } })
+      .mockResolvedValueOnce({ data: { rows: makeRows(10000, 50000) } });
+
+    const result = await runGSC(query, config, mockAuth);
+
+    expect(result).toHaveLength(60000);
+    expect(result[59999]).toEqual({ query: "query 59999", clicks: 10 });
+    expect(mockAuth.request).toHaveBeenCalledTimes(3);
+    expect(mockAuth.request.mock.calls.map(([req]) => [req.data.startRow, req.data.rowLimit])).toEqual([
+      [0, 25000],
+      [25000, 25000],
+      [50000, 10000],
+    ]);
+  });
+
+  it("should stop paging when the API returns a short page", async () => {
+    const query = {
+      dateRange: { start: "2024-01-01", end: "2024-01-31" },
+      metrics: ["clicks", "impressions"],
+      dimensions: ["query"],
+      limit: 100000,
+      orderBys: [],
+      filters: [],
+    };
+
+    mockAuth.request
+      .mockResolvedValueOnce({ data: { rows: makeRows(25000) } })
+      .mockResolvedValueOnce({ data: { rows: makeRows(120, 25000) } });
+
+    const result = await runGSC(query, config, mockAuth);
+
+    expect(result).toHaveLength(25120);
+    expect(mockAuth.request).toHaveBeenCalledTimes(2);
+  });
+
+  it("should cap paging at cfg.limits.maxRows", async () => {
+    const query = {
+      dateRange: { start: "2024-01-01", end: "2024-01-31" },
+      metrics: ["clicks"],
+      dimensions: ["query"],
+      limit: 100000,
+      orderBys: [],
+      filters: [],
+    };
+
+    config.limits.maxRows = 30000;
+    mockAuth.request
+      .mockResolvedValueOnce({ data: { rows: makeRows(25000) } })
+      .mockResolvedValueOnce({ data: { rows: makeRows(5000, 25000) } });
+
+    const result = await runGSC(query, config, mockAuth);
+
+    expect(result).toHaveLength(30000);
+    expect(mockAuth.request).toHaveBeenCalledTimes(2);
+    expect(mockAuth.request.mock.calls[1][0].data.rowLimit).toBe(5000);
+  });
+
+  it("should fetch each day separately in chunked mode and merge the rows", async () => {
+    const query = {
+      dateRange: { start: "2024-01-01", end: "2024-01-03" },
+      metrics: ["clicks", "impressions", "ctr", "position"],
+      dimensions: ["query"],
+      limit: 10,
+      orderBys: [],
+      filters: [],
+      chunkBy: "day",
+    };
+
+    mockAuth.request
+      .mockResolvedValueOnce({ data: { rows: [
+        { keys: ["shoes"], clicks: 10, impressions: 100, ctr: 0.1, position: 2 },
+      ] } })
+      .mockResolvedValueOnce({ data: { rows: [
+        { keys: ["shoes"], clicks: 5, impressions: 300, ctr: 0.0167, position: 6 },
+        { keys: ["boots"], clicks: 20, impressions: 50, ctr: 0.4, position: 1 },
+      ] } })
+      .mockResolvedValueOnce({ data: { rows: [] } });
+
+    const result = await runGSC(query, config, mockAuth);
+
+    expect(mockAuth.request.mock.calls.map(([req]) => [req.data.startDate, req.data.endDate])).toEqual([
+      ["2024-01-01", "2024-01-01"],
+      ["2024-01-02", "2024-01-02"],
+      ["2024-01-03", "2024-01-03"],
+    ]);
+    expect(result).toEqual([
+      { query: "boots", clicks: 20, impressions: 50, ctr: 0.4, position: 1 },
+      { query: "shoes", clicks: 15, impressions: 400, ctr: 15 / 400, position: 5 },
+    ]);
+  });
+
+  it("should flag preliminary rows when fresh data is requested", async () => {
+    const query = {
+      dateRange: { start: "2024-01-01", end: "2024-01-03" },
+      metrics: ["clicks"],
+      dimensions: ["date"],
+      limit: 10,
+      orderBys: [],
+      filters: [],
+      dataState: "all",
+    };
+
+    mockAuth.request.mockResolvedValueOnce({ data: {
+      rows: [
+        { keys: ["2024-01-01"], clicks: 10 },
+        { keys: ["2024-01-02"], clicks: 12 },
+        { keys: ["2024-01-03"], clicks: 3 },
+      ],
+      metadata: { first_incomplete_date: "2024-01-02" },
+      responseAggregationType: "byProperty",
+    } });
+
+    const ctx = {};
+    const result = await runGSC(query, config, mockAuth, ctx);
+
+    expect(mockAuth.request.mock.calls[0][0].data.dataState).toBe("all");
+    expect(result.map(row => row.freshness)).toEqual(["final", "preliminary", "preliminary"]);
+    expect(ctx.metadata).toEqual({
+      dataState: "all",
+      firstIncompleteDate: "2024-01-02",
+      includesPreliminaryData: true,
+      aggregationType: "byProperty",
+    });
+  });
+
+  it("should build dimension filter groups with or groups as one regex", async () => {
+    const query = {
+      dateRange: { start: "2024-01-01", end: "2024-01-31" },
+      metrics: ["clicks"],
+      dimensions: ["page"],
+      limit: 10,
+      orderBys: [],
+      filters: [
+        { type: "dimension", field: "query", op: "excludingRegex", value: "acme|acme corp" },
+        { type: "dimension", field: "country", op: "notContains", value: "usa" },
+        {
+          groupType: "or",
+          filters: [
+            { type: "dimension", field: "page", op: "contains", value: "/blog/" },
+            { type: "dimension", field: "page", op: "eq", value: "https://example.com/" },
+          ],
+        },
+      ],
+    };
+
+    mockAuth.request.mockResolvedValueOnce({ data: { rows: [] } });
+
+    await runGSC(query, config, mockAuth);
+
+    expect(mockAuth.request.mock.calls[0][0].data.dimensionFilterGroups).toEqual([
+      {
+        groupType: "and",
+        filters: [
+          { dimension: "query", operator: "excludingRegex", expression: "acme|acme corp" },
+          { dimension: "country", operator: "notContains", expression: "usa" },
+        ],
+      },
+      {
+        groupType: "and",
+        filters: [
+          { dimension: "page", operator: "includingRegex", expression: "(?i:/blog/)|^https://example\\.com/$" },
+        ],
+      },
+    ]);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import { getTemplateParameters, validateSQLTemplate, bindSQLTemplate } from "../src/core/sql-template.js";
+
+describe("SQL Templates", () => {
+  function query(overrides) {
+    return {
+      dateRange: { start: "2024-01-01", end: "2024-01-31" },
+      limit: 100,
+      sql: "SELECT page, SUM(clicks) AS clicks FROM `{{project}}.{{dataset}}.pages` WHERE date BETWEEN @start_date AND @end_date AND clicks >= @min_clicks GROUP BY page LIMIT @limit",
+      sqlParams: [{ name: "min_clicks", type: "INT64", default: 10 }],
+      variables: {},
+      ...overrides,
+    };
+  }
+
+  it("should find parameters outside of strings and comments", () => {
+    const sql = "SELECT '@not_a_param', `@col` -- @comment\nFROM t WHERE a = @a AND b = @b /* @c */ AND c = @a";
+
+    expect(getTemplateParameters(sql)).toEqual(["a", "b"]);
+  });
+
+  it("should bind built-in parameters, declared variables and the dataset", () => {
+    const result = bindSQLTemplate(query({ variables: { min_clicks: "25" } }), { projectId: "proj", dataset: "gsc" });
+
+    expect(result.sql).toContain("FROM `proj.gsc.pages`");
+    expect(result.params).toEqual({ start_date: "2024-01-01", end_date: "2024-01-31", min_clicks: 25, limit: 100 });
+    expect(result.types).toEqual({ start_date: "DATE", end_date: "DATE", min_clicks: "INT64", limit: "INT64" });
+  });
+
+  it("should reject undeclared parameters, unknown variables and bad values", () => {
+    expect(validateSQLTemplate(query())).toEqual([]);
+
+    expect(validateSQLTemplate(query({ sql: "SELECT * FROM t WHERE page = @page" }))).toEqual([
+      "SQL template uses undeclared parameter(s): @page",
+    ]);
+    expect(validateSQLTemplate(query({ variables: { min_clicks: "many", country: "usa" } }))).toEqual([
+      "Unknown SQL parameter(s): country (this preset takes min_clicks)",
+      "SQL parameter min_clicks must be a whole number",
+    ]);
+    expect(validateSQLTemplate(query({ sqlParams: [{ name: "min_clicks", type: "INT64" }] }))).toEqual([
+      "SQL parameter min_clicks requires a value",
+    ]);
+  });
+
+  it("should only allow a single SELECT statement", () => {
+    expect(validateSQLTemplate(query({ sql: "DELETE FROM t WHERE clicks < @min_clicks" }))).toContain(
+      "SQL presets must be a single SELECT (or WITH ... SELECT) statement"
+    );
+    expect(validateSQLTemplate(query({ sql: "SELECT @min_clicks; DROP TABLE t" }))).toContain(
+      "SQL presets must not contain more than one statement"
+    );
+  });
+
+  it("should require a site when the template uses @site_url", () => {
+    const sql = "SELECT url FROM t WHERE site_url = @site_url";
+
+    expect(validateSQLTemplate(query({ sql, sqlParams: [] }))).toEqual([
+      "This SQL preset needs a site (@site_url); select one or pass siteUrl",
+    ]);
+    expect(validateSQLTemplate(query({ sql, sqlParams: [], siteUrl: "sc-domain:example.com" }))).toEqual([]);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from "vitest";
+import Database from "better-sqlite3";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { runWarehouseSQL } from "../src/core/warehouse-sql.js";
+import { InvalidSQLError, QueryTimeoutError } from "../src/utils/errors.js";
+
+const ROWS = [
+  ["https://example.com/", "2026-09-01", "shoes", 5, 50, 0.1, 2],
+  ["https://example.com/", "2026-09-02", "shoes", 3, 40, 0.075, 3],
+  ["https://example.com/", "2026-09-01", "hats", 1, 10, 0.1, 5],
+  ["https://other.com/", "2026-09-01", "shoes", 100, 1000, 0.1, 1],
+];
+
+vi.mock("../src/core/warehouse.js", () => ({
+  getWarehouseTables: () => [{ table: "gsc_daily_query", dimensions: ["query"] }],
+}));
+
+const cfg = { limits: { maxRows: 100, maxRuntimeMs: 60000 } };
+const siteUrls = ["https://example.com/"];
+
+// The query runs in a worker thread, which reads this warehouse file
+let dir;
+let dbPath;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "gsc-warehouse-"));
+  dbPath = path.join(dir, "warehouse.db");
+  const db = new Database(dbPath);
+  db.exec(`
+    CREATE TABLE gsc_daily_query (site_url TEXT, date TEXT, query TEXT, clicks INTEGER, impressions INTEGER, ctr REAL, position REAL);
+    CREATE TABLE warehouse_days (site_url TEXT, table_name TEXT, date TEXT, data_state TEXT, row_count INTEGER, synced_at INTEGER);
+  `);
+  const insert = db.prepare("INSERT INTO gsc_daily_query VALUES (?, ?, ?, ?, ?, ?, ?)");
+  ROWS.forEach(row => insert.run(...row));
+  db.close();
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("Warehouse SQL", () => {
+  it("should only query the rows of the given sites", async () => {
+    const result = await runWarehouseSQL(`
+      -- clicks per query
+      SELECT query, SUM(clicks) AS clicks FROM gsc_daily_query GROUP BY query ORDER BY clicks DESC
+    `, cfg, { siteUrls, dbPath });
+
+    expect(result).toEqual({
+      columns: ["query", "clicks"],
+      rows: [{ query: "shoes", clicks: 8 }, { query: "hats", clicks: 1 }],
+      truncated: false,
+    });
+  });
+
+  it("should not time out without limits.maxRuntimeMs", async () => {
+    const result = await runWarehouseSQL("SELECT COUNT(*) AS n FROM gsc_daily_query", { limits: { maxRows: 100 } }, { siteUrls, dbPath });
+
+    expect(result.rows).toEqual([{ n: 3 }]);
+  });
+
+  it("should stop at limits.maxRows", async () => {
+    const result = await runWarehouseSQL("SELECT date, query FROM gsc_daily_query", { limits: { ...cfg.limits, maxRows: 2 } }, { siteUrls, dbPath });
+
+    expect(result.rows).toHaveLength(2);
+    expect(result.truncated).toBe(true);
+  });
+
+  it("should reject statements other than one read-only SELECT", async () => {
+    const run = (sql) => runWarehouseSQL(sql, cfg, { siteUrls, dbPath });
+
+    await expect(run("DELETE FROM gsc_daily_query")).rejects.toThrow(InvalidSQLError);
+    await expect(run("ATTACH 'gsc_auth.db' AS auth")).rejects.toThrow(InvalidSQLError);
+    await expect(run("SELECT 1; DROP TABLE gsc_daily_query")).rejects.toThrow(InvalidSQLError);
+    await expect(run("WITH t AS (SELECT 1) DELETE FROM gsc_daily_query")).rejects.toThrow(InvalidSQLError);
+    await expect(run("SELECT * FROM oauth_tokens")).rejects.toThrow(/no such table/);
+  });
+
+  it("should stop a query still running after limits.maxRuntimeMs", async () => {
+    // Never returns a row: only terminating the worker can stop it
+    const sql = "WITH RECURSIVE c(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM c) SELECT max(x) FROM c";
+    const started = Date.now();
+
+    await expect(runWarehouseSQL(sql, { limits: { ...cfg.limits, maxRuntimeMs: 200 } }, { siteUrls, dbPath }))
+      .rejects.toThrow(QueryTimeoutError);
+    expect(Date.now() - started).toBeLessThan(5000);
+  });
+});
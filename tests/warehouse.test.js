@@ -0,0 +1,147 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import runGSC from "../src/datasources/searchconsole.js";
+import { getWarehouseDays, replaceWarehouseDay, getWarehouseTotals } from "../src/utils/database.js";
+import { getSyncPlan, syncWarehouse, findWarehouseTable, queryWarehouse } from "../src/core/warehouse.js";
+
+vi.mock("../src/datasources/searchconsole.js", () => ({
+  default: vi.fn(),
+}));
+
+// Keep the warehouse out of the real SQLite database
+vi.mock("../src/utils/database.js", () => ({
+  ensureWarehouseTable: vi.fn(),
+  getWarehouseDays: vi.fn(),
+  replaceWarehouseDay: vi.fn(),
+  getWarehouseTotals: vi.fn(),
+}));
+
+const SITE = "https://example.com/";
+
+const cfg = {
+  sources: { searchconsole: { siteUrl: "" } },
+  warehouse: { enabled: true, backfillMonths: 1, searchType: "web", dimensionSets: [["query"], ["page"]] },
+};
+
+const query = {
+  dateRange: { start: "2026-09-01", end: "2026-09-03" },
+  metrics: ["clicks", "impressions"],
+  dimensions: ["query"],
+  filters: [],
+  limit: 10,
+  searchType: "web",
+  dataState: "final",
+  aggregationType: "auto",
+};
+
+const syncedDays = (dates, dataState = "final") =>
+  dates.map(date => ({ date, data_state: dataState, row_count: 1, synced_at: 0 }));
+
+describe("Warehouse", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getWarehouseDays.mockReturnValue([]);
+  });
+
+  it("should plan the days that are missing or preliminary, oldest first", () => {
+    getWarehouseDays.mockImplementation((siteUrl, table) => table === "gsc_daily_query"
+      ? [...syncedDays(["2026-09-20"]), ...syncedDays(["2026-10-18"], "preliminary")]
+      : []);
+
+    const [queries, pages] = getSyncPlan(cfg, SITE, "2026-10-19");
+
+    expect(queries.table).toBe("gsc_daily_query");
+    expect(queries.dates[0]).toBe("2026-09-19");
+    expect(queries.dates).not.toContain("2026-09-20");
+    expect(queries.dates).toContain("2026-10-18");
+    expect(queries.dates).toHaveLength(30);
+    expect(pages.dates).toHaveLength(31);
+  });
+
+  it("should store each synced day with its data state", async () => {
+    const today = "2026-10-19";
+    const allDays = getSyncPlan(cfg, SITE, today)[0].dates;
+    getWarehouseDays.mockReturnValue(syncedDays(allDays.filter(date => date < "2026-10-17")));
+    runGSC.mockImplementation(async (request, runCfg, auth, ctx) => {
+      const date = request.dateRange.start;
+      ctx.metadata.includesPreliminaryData = date === "2026-10-18";
+      return date === "2026-10-19" ? [] : [{ date, query: "shoes", clicks: 1, impressions: 10, ctr: 0.1, position: 3 }];
+    });
+
+    const summary = await syncWarehouse({ ...cfg, warehouse: { ...cfg.warehouse, dimensionSets: [["query"]] } }, null, { siteUrl: SITE, today });
+
+    expect(runGSC.mock.calls[0][0]).toMatchObject({
+      dateRange: { start: "2026-10-17", end: "2026-10-17" },
+      dimensions: ["date", "query"],
+      dataState: "all",
+    });
+    expect(replaceWarehouseDay.mock.calls.map(call => [call[3], call[5]])).toEqual([
+      ["2026-10-17", "final"],
+      ["2026-10-18", "preliminary"],
+      ["2026-10-19", "preliminary"],
+    ]);
+    expect(summary.tables[0]).toMatchObject({ days: 3, final: 1, preliminary: 2, rows: 2 });
+    // The site goes to runGSC, the default site stays as it was
+    expect(runGSC.mock.calls[0][3].siteUrl).toBe(SITE);
+    expect(process.env.GSC_SITE_URL).not.toBe(SITE);
+  });
+
+  it("should stop starting new days after maxRuntimeMs and report what is left", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    getWarehouseDays.mockReturnValue([]);
+    // Every day takes a second
+    runGSC.mockImplementation(async () => {
+      vi.setSystemTime(Date.now() + 1000);
+      return [];
+    });
+
+    try {
+      const summary = await syncWarehouse(cfg, null, { siteUrl: SITE, today: "2026-10-19", maxRuntimeMs: 1500 });
+
+      expect(replaceWarehouseDay).toHaveBeenCalledTimes(2);
+      expect(summary.tables).toEqual([expect.objectContaining({ table: "gsc_daily_query", days: 2 })]);
+      expect(summary).toMatchObject({ complete: false, remainingDays: 31 + 31 - 2 });
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("should only answer queries whose days are all synced as final", () => {
+    getWarehouseDays.mockReturnValue(syncedDays(["2026-09-01", "2026-09-02", "2026-09-03"]));
+
+    expect(findWarehouseTable(query, cfg, SITE)).toBe("gsc_daily_query");
+    expect(findWarehouseTable({ ...query, dimensions: ["date", "query"] }, cfg, SITE)).toBe("gsc_daily_query");
+    expect(findWarehouseTable({ ...query, dateRange: { start: "2026-09-01", end: "2026-09-04" } }, cfg, SITE)).toBeNull();
+    expect(findWarehouseTable({ ...query, dataState: "all" }, cfg, SITE)).toBeNull();
+    expect(findWarehouseTable({ ...query, dimensions: ["query", "page"] }, cfg, SITE)).toBeNull();
+    expect(findWarehouseTable({
+      ...query,
+      filters: [{ type: "dimension", field: "page", op: "contains", value: "/blog" }],
+    }, cfg, SITE)).toBeNull();
+
+    getWarehouseDays.mockReturnValue(syncedDays(["2026-09-01", "2026-09-02", "2026-09-03"], "preliminary"));
+    expect(findWarehouseTable(query, cfg, SITE)).toBeNull();
+  });
+
+  it("should return the top filtered rows by clicks", () => {
+    getWarehouseTotals.mockReturnValue([
+      { query: "shoes", clicks: 5, impressions: 50, ctr: 0.1, position: 2 },
+      { query: "red shoes", clicks: 9, impressions: 60, ctr: 0.15, position: 1 },
+      { query: "hats", clicks: 20, impressions: 100, ctr: 0.2, position: 1 },
+      { query: "blue shoes", clicks: 1, impressions: 30, ctr: 0.03, position: 8 },
+    ]);
+    const ctx = {};
+
+    const rows = queryWarehouse({
+      ...query,
+      limit: 2,
+      filters: [{ type: "dimension", field: "query", op: "contains", value: "shoes" }],
+    }, "gsc_daily_query", SITE, ctx);
+
+    expect(getWarehouseTotals).toHaveBeenCalledWith(SITE, "gsc_daily_query", ["query"], query.dateRange);
+    expect(rows).toEqual([
+      { query: "red shoes", clicks: 9, impressions: 60 },
+      { query: "shoes", clicks: 5, impressions: 50 },
+    ]);
+    expect(ctx.metadata).toMatchObject({ dataState: "final", servedFrom: "warehouse" });
+  });
+});